@@ -198,4 +198,76 @@ export const getAdminStats = async ( req, res ) => {
         res.status(500).json({ message: "Error fetching admin stats" });
         
     }
-}
\ No newline at end of file
+}
+// Cash-on-delivery reconciliation: amounts collected by agents vs still outstanding
+// Optional ?from=&to= filter on the order date
+export const getCodReport = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const orderDate = {};
+        if (from) orderDate.$gte = new Date(from);
+        if (to) orderDate.$lte = new Date(to);
+        if (Object.values(orderDate).some((date) => isNaN(date.getTime()))) {
+            return res.status(400).json({ message: "from and to must be valid dates" });
+        }
+
+        // Cancelled COD orders never had cash to collect
+        const match = { paymentMethod: "COD", status: { $nin: ["Cancelled", "Refunded"] } };
+        if (Object.keys(orderDate).length > 0) match.orderDate = orderDate;
+
+        const byStatus = await Order.aggregate([
+            { $match: match },
+            { $project: { status: 1, totalAmount: 1, collected: { $sum: "$codCollections.amountCollected" } } },
+            {
+                $group: {
+                    _id: "$status",
+                    orders: { $sum: 1 },
+                    due: { $sum: "$totalAmount" },
+                    collected: { $sum: "$collected" },
+                    outstanding: { $sum: { $max: [{ $subtract: ["$totalAmount", "$collected"] }, 0] } },
+                },
+            },
+            { $sort: { _id: 1 } },
+        ]);
+
+        const byAgent = await Order.aggregate([
+            { $match: match },
+            { $unwind: "$codCollections" },
+            {
+                $group: {
+                    _id: "$codCollections.collectedBy",
+                    packages: { $sum: 1 },
+                    collected: { $sum: "$codCollections.amountCollected" },
+                    lastCollectedAt: { $max: "$codCollections.collectedAt" },
+                },
+            },
+            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "agent" } },
+            { $sort: { collected: -1 } },
+        ]);
+
+        const totals = byStatus.reduce(
+            (sum, row) => ({
+                orders: sum.orders + row.orders,
+                due: sum.due + row.due,
+                collected: sum.collected + row.collected,
+                outstanding: sum.outstanding + row.outstanding,
+            }),
+            { orders: 0, due: 0, collected: 0, outstanding: 0 }
+        );
+
+        res.status(200).json({
+            totals,
+            byStatus: byStatus.map(({ _id, ...row }) => ({ status: _id, ...row })),
+            byAgent: byAgent.map((row) => ({
+                agentId: row._id,
+                username: row.agent[0]?.username || null,
+                packages: row.packages,
+                collected: row.collected,
+                lastCollectedAt: row.lastCollectedAt,
+            })),
+        });
+    } catch (error) {
+        console.error("Error fetching COD report:", error);
+        res.status(500).json({ message: "Error fetching COD report" });
+    }
+};
@@ -0,0 +1,317 @@
+// controllers/AdminUserController.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import User from "../models/UserModel.js";
+import Order from "../models/OrderModel.js";
+import Address from "../models/AddressModel.js";
+import Cart from "../models/CartModel.js";
+import WishList from "../models/WishListModel.js";
+import { sendMail } from "../utils/MailSender.js";
+import { revokeAllSessions } from "../utils/AuthSessions.js";
+import { clearAccountFailures } from "../utils/LoginThrottle.js";
+import { startPasswordReset } from "../utils/PasswordReset.js";
+import { ROLES, hasPermission } from "../utils/Permissions.js";
+
+const USER_STATUSES = ["active", "suspended", "deleted"];
+const MAX_PAGE_SIZE = 100;
+
+// Never sent back to the back office
+const HIDDEN_USER_FIELDS = "-password -resetPassword";
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const pageParams = (query) => {
+  const page = Math.max(parseInt(query.page || "1", 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit || "20", 10) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit };
+};
+
+/*
+ * Checks shared by suspend, force-reset and delete. Returns the target user,
+ * or sends the error response and returns null.
+ */
+const loadManagedUser = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+  if (userId === req.user._id.toString()) {
+    res.status(400).json({ message: "You can't do this to your own account" });
+    return null;
+  }
+
+  const user = await User.findById(userId).select("-password");
+  if (!user || user.deletedAt) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+  // Support staff can act on customers, but only admins can act on other staff
+  if (user.role !== "user" && !hasPermission(req.user, "users:manage_roles")) {
+    res.status(403).json({ message: "Only admins can manage staff accounts" });
+    return null;
+  }
+  return user;
+};
+
+// The last admin who can still sign in must not be locked out, demoted or removed
+export const isLastActiveAdmin = async (user) =>
+  user.role === "admin" &&
+  !user.suspended &&
+  (await User.countDocuments({ role: "admin", suspended: { $ne: true } })) <= 1;
+
+const sendSuspensionNotice = async (user, suspended) => {
+  try {
+    const subject = suspended ? "Your account has been suspended" : "Your account has been reactivated";
+    const body = suspended
+      ? "Your account has been suspended and you have been signed out on all devices. If you think this is a mistake, please contact support."
+      : "Your account has been reactivated. You can sign in again.";
+    await sendMail({
+      to: user.email,
+      subject,
+      text: `Hi ${user.username || "there"},\n\n${body}`,
+      html: `
+        <div style="font-family:Arial,sans-serif;color:#222">
+          <p>Hi ${user.username || "there"},</p>
+          <p>${body}</p>
+          <hr/>
+          <p style="color:#666">E-Commerce Team</p>
+        </div>
+      `,
+    });
+  } catch (mailErr) {
+    console.error("Failed to send account status email:", mailErr);
+  }
+};
+
+// ================== LIST / SEARCH USERS ==================
+// ?q= (username or email), ?role=, ?status=active|suspended|deleted, ?page=, ?limit=
+export const getUsers = async (req, res) => {
+  try {
+    const { page, limit } = pageParams(req.query);
+    const { q, role, status } = req.query;
+
+    // Deleted (anonymised) accounts only show up when asked for
+    const filter = { deletedAt: null };
+    if (q && String(q).trim()) {
+      const pattern = new RegExp(escapeRegex(String(q).trim()), "i");
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+      if (!ROLES.includes(role)) return res.status(400).json({ message: "Invalid role", allowed: ROLES });
+      filter.role = role;
+    }
+    if (status) {
+      if (!USER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid status", allowed: USER_STATUSES });
+      }
+      if (status === "active") filter.suspended = { $ne: true };
+      if (status === "suspended") filter.suspended = true;
+      if (status === "deleted") filter.deletedAt = { $ne: null };
+    }
+
+    const totalUsers = await User.countDocuments(filter);
+    const users = await User.find(filter)
+      .select(HIDDEN_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return res.status(200).json({ message: "Users data fetched successfully", users, totalUsers, page, limit });
+  } catch (error) {
+    console.error("Error getting users data:", error);
+    return res.status(500).json({ message: "Error getting users data" });
+  }
+};
+
+// ================== USER DETAIL ==================
+// Profile, saved addresses and an order summary
+export const getUserDetails = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const user = await User.findById(userId).select(HIDDEN_USER_FIELDS).populate("suspendedBy accountHistory.by", "username email");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const [addressDoc, byStatus] = await Promise.all([
+      Address.findOne({ userId }),
+      Order.aggregate([
+        { $match: { userId: user._id } },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            amount: { $sum: "$totalAmount" },
+            lastOrderAt: { $max: "$orderDate" },
+          },
+        },
+      ]),
+    ]);
+
+    const orderSummary = {
+      totalOrders: byStatus.reduce((sum, s) => sum + s.count, 0),
+      // Cancelled orders never turned into revenue
+      totalSpent: byStatus.filter((s) => s._id !== "Cancelled").reduce((sum, s) => sum + s.amount, 0),
+      lastOrderAt: byStatus.reduce((latest, s) => (!latest || s.lastOrderAt > latest ? s.lastOrderAt : latest), null),
+      byStatus: Object.fromEntries(byStatus.map((s) => [s._id, s.count])),
+    };
+
+    return res.status(200).json({
+      message: "User fetched successfully",
+      user,
+      addresses: addressDoc?.addresses || [],
+      orderSummary,
+    });
+  } catch (error) {
+    console.error("Error fetching user details:", error);
+    return res.status(500).json({ message: "Error fetching user details" });
+  }
+};
+
+// ================== USER ORDERS ==================
+export const getUserOrders = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    const { page, limit } = pageParams(req.query);
+
+    const totalOrders = await Order.countDocuments({ userId });
+    const orders = await Order.find({ userId })
+      .sort({ orderDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return res.status(200).json({ orders, totalOrders, page, limit });
+  } catch (error) {
+    console.error("Error fetching user orders:", error);
+    return res.status(500).json({ message: "Error fetching user orders" });
+  }
+};
+
+// ================== SUSPEND ==================
+// body: { reason }
+export const suspendUser = async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+    if (!reason) return res.status(400).json({ message: "A reason is required" });
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    if (user.suspended) return res.status(409).json({ message: "User is already suspended" });
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ message: "At least one admin is required" });
+    }
+
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason;
+    user.suspendedBy = req.user._id;
+    user.accountHistory.push({ action: "suspended", by: req.user._id, note: reason });
+    await user.save();
+
+    // Access tokens of revoked sessions stop working right away (see protect)
+    await revokeAllSessions(user._id, "admin");
+
+    await sendSuspensionNotice(user, true);
+
+    return res.status(200).json({ message: "User suspended", user });
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    return res.status(500).json({ message: "Error suspending user" });
+  }
+};
+
+// ================== REACTIVATE ==================
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    if (!user.suspended) return res.status(409).json({ message: "User is not suspended" });
+
+    user.suspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    user.suspendedBy = undefined;
+    user.accountHistory.push({ action: "reactivated", by: req.user._id });
+    await user.save();
+
+    await sendSuspensionNotice(user, false);
+
+    return res.status(200).json({ message: "User reactivated", user });
+  } catch (error) {
+    console.error("Error reactivating user:", error);
+    return res.status(500).json({ message: "Error reactivating user" });
+  }
+};
+
+// ================== FORCE PASSWORD RESET ==================
+// Signs the user out everywhere; they can't sign in again until they reset
+export const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    user.passwordResetRequired = true;
+    user.accountHistory.push({ action: "password_reset_forced", by: req.user._id });
+    await startPasswordReset(user, { forced: true });
+    await revokeAllSessions(user._id, "admin");
+
+    return res.status(200).json({ message: "Password reset required. The user has been emailed a reset code." });
+  } catch (error) {
+    console.error("Error forcing password reset:", error);
+    return res.status(500).json({ message: "Error forcing password reset" });
+  }
+};
+
+// ================== DELETE ==================
+// Anonymises the account instead of removing it, so past orders, payments
+// and refunds still point at a user. Addresses, cart and wishlist are removed.
+export const deleteUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ message: "At least one admin is required" });
+    }
+
+    const originalEmail = user.email;
+    const placeholder = `deleted-${user._id}`;
+
+    user.username = placeholder;
+    user.email = `${placeholder}@deleted.invalid`;
+    user.password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+    user.role = "user";
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+    user.emailVerification = undefined;
+    user.twoFactorEnabled = false;
+    user.twoFactor = undefined;
+    user.resetPassword = undefined;
+    user.passwordResetRequired = false;
+    user.suspended = true;
+    user.suspendedAt = user.suspendedAt || new Date();
+    user.suspendedBy = user.suspendedBy || req.user._id;
+    user.deletedAt = new Date();
+    user.accountHistory.push({ action: "deleted", by: req.user._id });
+    await user.save();
+
+    await Promise.all([
+      Address.deleteMany({ userId: user._id }),
+      Cart.deleteMany({ userId: user._id }),
+      WishList.deleteMany({ userId: user._id }),
+      revokeAllSessions(user._id, "admin"),
+      clearAccountFailures(originalEmail),
+    ]);
+
+    return res.status(200).json({ message: "User deleted" });
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    return res.status(500).json({ message: "Error deleting user" });
+  }
+};
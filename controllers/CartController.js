@@ -1,5 +1,8 @@
 import express from 'express';
 import Cart from '../models/CartModel.js';
+import Product from '../models/ProductModel.js';
+import { findVariant, availableStock } from '../utils/Inventory.js';
+import { catalogDetails, priceCartItems } from '../utils/CartPricing.js';
 import mongoose from 'mongoose';
 
 export const addToCartNotWorking = async (req,res) => {
@@ -43,6 +46,11 @@ export const addToCartNotWorking = async (req,res) => {
     }
 };
 
+// A cart line is one product + variant combination
+const isSameCartLine = (item, productId, variantId) =>
+    item.productId.toString() === String(productId) &&
+    String(item.variantId || "") === String(variantId || "");
+
 export const addToCart = async (req, res) => {
     try {
         const { items } = req.body;
@@ -53,35 +61,66 @@ export const addToCart = async (req, res) => {
             return res.status(400).json({ message: "Items array is missing or empty." });
         }
 
-        const { productId, title, price, quantityDelta, img } = items[0];
+        // Only the product, variant and quantity come from the client; title,
+        // price and image are always read from the catalog
+        const { productId, variantId, quantityDelta } = items[0];
 
-        if (!userId || !productId || !title || price === undefined || quantityDelta === undefined || !img) {
+        if (!userId || !productId || quantityDelta === undefined) {
             return res.status(400).json({ message: "Missing required fields for cart operation." });
         }
 
         const productObjectId = new mongoose.Types.ObjectId(productId);
         let cart = await Cart.findOne({ userId });
+        const itemIndex = cart
+            ? cart.items.findIndex((item) => isSameCartLine(item, productId, variantId))
+            : -1;
 
-        if (cart) {
-            cart.items = cart.items || [];
-            const itemIndex = cart.items.findIndex(
-                (item) => item.productId.toString() === productObjectId.toString()
-            );
+        const product = await Product.findById(productObjectId);
+        const variant = findVariant(product, variantId);
+
+        // Refuse quantities we can't fulfil (only checked when the quantity goes up)
+        if (quantityDelta > 0) {
+            if (!product) {
+                return res.status(404).json({ message: "Product not found" });
+            }
+            if (product.variants.length > 0 && !variantId) {
+                return res.status(400).json({ message: "Please select a variant (size/color) for this product." });
+            }
+            if (variantId && !variant) {
+                return res.status(404).json({ message: "Variant not found for this product" });
+            }
+            const stock = availableStock(product, variantId);
+            const label = variant ? `${product.title} (${variant.sku})` : product.title;
+            const requestedQuantity = (itemIndex > -1 ? cart.items[itemIndex].quantity : 0) + quantityDelta;
+            if (requestedQuantity > stock) {
+                return res.status(409).json({
+                    message: stock > 0
+                        ? `Only ${stock} left in stock for ${label}`
+                        : `${label} is out of stock`,
+                    available: stock,
+                });
+            }
+        }
 
+        const details = product ? catalogDetails(product, variant) : null;
+        const newItem = {
+            productId: productObjectId,
+            variantId: variant ? variant._id : undefined,
+            quantity: quantityDelta,
+            ...details,
+        };
+
+        if (cart) {
             if (itemIndex > -1) {
                 cart.items[itemIndex].quantity += quantityDelta;
                 if (cart.items[itemIndex].quantity <= 0) {
                     cart.items.splice(itemIndex, 1);
+                } else if (details) {
+                    cart.items[itemIndex].set(details);
                 }
             } else {
                 if (quantityDelta > 0) {
-                    cart.items.push({
-                        productId: productObjectId,
-                        quantity: quantityDelta,
-                        price,
-                        title,
-                        img,
-                    });
+                    cart.items.push(newItem);
                 }
             }
 
@@ -91,7 +130,7 @@ export const addToCart = async (req, res) => {
             if (quantityDelta > 0) {
                 const newCart = new Cart({
                     userId,
-                    items: [{ productId: productObjectId, quantity: quantityDelta, price, title, img }],
+                    items: [newItem],
                 });
                 await newCart.save();
                 return res.status(201).json({ message: "Cart created and product added", cart: newCart });
@@ -108,15 +147,18 @@ export const addToCart = async (req, res) => {
 export const removeFromCart = async (req, res) => {
     try {
         const { userId, productId } = req.params;
+        const { variantId } = req.query;
         const cart = await Cart.findOne({ userId });
 
         if (!cart) {
             return res.status(404).json({ message: "Cart not found" });
         }
 
-        // Filter out the product to be removed
-        cart.items = cart.items.filter(
-            (item) => item.productId.toString() !== productId
+        // Filter out the product to be removed (only the given variant when one is passed)
+        cart.items = cart.items.filter((item) =>
+            variantId
+                ? !isSameCartLine(item, productId, variantId)
+                : item.productId.toString() !== productId
         );
 
         // If no items left, delete the whole cart
@@ -145,10 +187,18 @@ export const getCartItems = async (req,res) => {
         const cart = await Cart.findOne({ userId });
 
         if (!cart) {
-            return res.status(200).json({ message : "Cart not found for the user because cart is empty", cart: { items: [] } });
+            return res.status(200).json({ message : "Cart not found for the user because cart is empty", cart: { items: [] }, subtotal: 0 });
         }
 
-        return res.status(200).json({ cart });
+        // Re-price every line so the storefront can warn about price/stock changes
+        const { lines, subtotal } = await priceCartItems(cart.items);
+
+        return res.status(200).json({
+            cart: { ...cart.toObject(), items: lines },
+            subtotal,
+            hasPriceChanges: lines.some((line) => line.priceChanged),
+            hasUnavailableItems: lines.some((line) => line.unavailable),
+        });
     } catch (error) {
         console.log("Error getting cart items", error);
         return res.status(500).json({ message: "Error getting cart items", error: error.message });
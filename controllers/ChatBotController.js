@@ -5,6 +5,7 @@ import Order from '../models/OrderModel.js';
 import User from '../models/UserModel.js';
 import Cart from '../models/CartModel.js'; // <<-- assume your cart model is here
 import mongoose from 'mongoose';
+import { ORDER_NUMBER_RE, normalizeOrderNumber, orderLookupFilter } from '../utils/OrderNumber.js';
 
 // Initialize OpenAI (still used for non-essential/natural-language flows)
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -25,8 +26,13 @@ Rules:
 - Keep responses concise & clear.
 `;
 
-// Redact address (show last 2 parts only)
+// Redact address (show city/state only)
 function redactAddress(addr = '') {
+  if (addr && typeof addr === 'object') {
+    const place = [addr.city, addr.state].filter(Boolean).join(', ');
+    if (place) return `${place} (full address redacted)`;
+    addr = addr.legacyText || '';
+  }
   if (!addr || typeof addr !== 'string') return 'Redacted';
   const parts = addr.split(',').map(p => p.trim()).filter(Boolean);
   if (parts.length === 0) return 'Redacted';
@@ -56,6 +62,19 @@ function convertDollarAmountsToINR(text) {
   });
 }
 
+// Pull an order reference out of free text: an order number (MST-2026-000123),
+// a raw order id, or a tracking number written after "tracking"/"AWB"
+function extractOrderReference(text) {
+  if (!text) return null;
+  const str = String(text);
+  const orderNumber = str.match(ORDER_NUMBER_RE);
+  if (orderNumber) return normalizeOrderNumber(orderNumber[0]);
+  const objectId = str.match(/\b[a-f\d]{24}\b/i);
+  if (objectId) return objectId[0];
+  const tracking = str.match(/(?:tracking(?:\s*(?:number|no\.?|id))?|awb)\s*[:#]?\s*([A-Za-z0-9-]*\d[A-Za-z0-9-]*)/i);
+  return tracking && tracking[1].length >= 6 ? tracking[1] : null;
+}
+
 // Safe wrapper used before sending reply to frontend
 function safeReplyText(text) {
   if (typeof text !== 'string') return text;
@@ -68,7 +87,7 @@ function buildOrderContext(order) {
   const itemDetails = (order.items || []).map(item => `${item.title} (₹${item.price})`).join(', ') || 'No items listed';
   const shipping = redactAddress(order.shippingAddress);
   const totalStr = order.totalAmount != null ? formatINR(order.totalAmount) : 'unknown';
-  return `Order #${order._id || order.orderNumber || 'unknown'}:
+  return `Order #${order.orderNumber || order._id || 'unknown'}:
 - Items: ${itemDetails}
 - Status: ${order.status || 'unknown'}
 - Total Amount: ${totalStr}
@@ -99,11 +118,18 @@ function localOrderStatusReply(order) {
 
   // Base line
   let reply = `Current order status: ${order.status || 'Unknown'}.`;
+  if (order.orderNumber) reply = `Order ${order.orderNumber}. ${reply}`;
 
   // Add status-specific guidance
   if (status.includes('shipped') || status.includes('out for delivery') || status.includes('in transit')) {
-    const eta = order.estimatedDeliveryDate ? ` Estimated delivery: ${new Date(order.estimatedDeliveryDate).toLocaleDateString('en-IN')}.` : '';
-    reply += ` Your package is on the way.${eta} You can track with tracking number ${order.trackingNumber || 'N/A'}.`;
+    // Latest package; earlier ones may already be delivered
+    const shipment = (order.shipments || []).slice(-1)[0] || {};
+    const eta = shipment.estimatedDeliveryDate ? ` Estimated delivery: ${new Date(shipment.estimatedDeliveryDate).toLocaleDateString('en-IN')}.` : '';
+    const latest = (shipment.checkpoints || []).slice(-1)[0];
+    const lastScan = latest ? ` Latest update: ${latest.description || latest.status}${latest.location ? ` (${latest.location})` : ''}.` : '';
+    const carrier = shipment.carrier ? ` with ${shipment.carrier}` : '';
+    reply += ` Your package is on the way.${eta}${lastScan} You can track${carrier} using tracking number ${shipment.trackingNumber || 'N/A'}.`;
+    if (shipment.trackingUrl) reply += ` Track online: ${shipment.trackingUrl}`;
   } else if (status.includes('processing') || status.includes('confirmed') || status.includes('pending')) {
     reply += ` Your order is being processed. We'll notify you when it ships.`;
   } else if (status.includes('delivered')) {
@@ -166,14 +192,14 @@ async function analyzeMessageWithOpenAI(rawMessage, userId = null) {
 You are a lightweight intent and entity extractor for ShopBot. 
 Given a single user message, return a JSON object (ONLY JSON) with keys:
 - intent: one of [track_order, cart, recent_orders, remove_item, checkout, greeting, returns, shipping, payments, select_order, openai_answer, unknown]
-- orderId: string or null (if user mentioned an order / tracking id)
+- orderId: string or null (if user mentioned an order number like MST-2026-000123, an order id or a tracking number)
 - index: integer or null (if user selected an index e.g., "1" or "remove 2")
 - action: short verb like "remove", "checkout", null if none
 - confidence: 0.0 - 1.0 number estimating your confidence
 - text: brief normalized intent text for logging
 
 If multiple candidates exist, return the most-likely. Do NOT include any extra text or commentary. Example:
-{"intent":"track_order","orderId":"ABC123","index":null,"action":null,"confidence":0.95,"text":"track order ABC123"}
+{"intent":"track_order","orderId":"MST-2026-000123","index":null,"action":null,"confidence":0.95,"text":"track order MST-2026-000123"}
 `;
 
   const userPrompt = `User message: """${rawMessage.replace(/\"/g, '\\"')}"""`;
@@ -200,13 +226,12 @@ If multiple candidates exist, return the most-likely. Do NOT include any extra t
     // Fallback heuristic simple parser
     const text = rawMessage.toLowerCase();
     const isGreeting = /^(hi|hello|hey|good morning|good afternoon)/i.test(rawMessage);
-    const orderIdMatch = rawMessage.match(/([A-Za-z0-9\-\_]{4,})/);
     // naive index detection
     const idxMatch = rawMessage.trim().match(/^(\d{1,2})$/) || rawMessage.match(/remove\s+(\d{1,2})/i);
 
     return {
       intent: isGreeting ? 'greeting' : (text.includes('cart') ? 'cart' : (text.includes('track') ? 'track_order' : 'openai_answer')),
-      orderId: orderIdMatch ? orderIdMatch[1] : null,
+      orderId: extractOrderReference(rawMessage),
       index: idxMatch ? parseInt(idxMatch[1], 10) : null,
       action: text.includes('remove') ? 'remove' : (text.includes('checkout') ? 'checkout' : null),
       confidence: 0.4,
@@ -216,8 +241,10 @@ If multiple candidates exist, return the most-likely. Do NOT include any extra t
 }
 
 export const replyChatBot = async (req, res) => {
-  const { message, userId: incomingUserId } = req.body;
-  const authHeader = (req.headers.authorization || req.body.token || '').toString();
+  const { message } = req.body;
+  // Always the signed-in user; a userId in the body is never trusted
+  const incomingUserId = req.user._id;
+  const authHeader = (req.headers.authorization || '').toString();
 
   console.log("[ChatBot] request:", {
     path: req.path,
@@ -394,23 +421,18 @@ export const replyChatBot = async (req, res) => {
 
     // TRACK ORDER flow
     if (intent === "track_order" || intent === "select_order") {
-      // If analysis found an orderId, try that first
-      const orderIdCandidate = (analysis && analysis.orderId) || rawMessage.match(/(?:track order|order id|order|order#|order #|tracking|tracking number)\s*[:#]?\s*([A-Za-z0-9\-\_]{4,})/i)?.[1];
+      // If analysis found an orderId, try that first (only if it looks like a real reference)
+      const orderIdCandidate = extractOrderReference(analysis && analysis.orderId) || extractOrderReference(rawMessage);
 
       if (orderIdCandidate) {
         let order = null;
         try {
-          if (mongoose.Types.ObjectId.isValid(orderIdCandidate)) {
-            order = await Order.findById(orderIdCandidate).lean();
+          const filter = orderLookupFilter(orderIdCandidate);
+          if (filter) {
+            order = await Order.findOne({ ...filter, userId: req.user._id }).lean();
           }
           if (!order) {
-            order = await Order.findOne({
-              $or: [
-                { orderNumber: orderIdCandidate },
-                { trackingNumber: orderIdCandidate },
-                { 'meta.shortId': orderIdCandidate }
-              ]
-            }).lean();
+            order = await Order.findOne({ 'shipments.trackingNumber': orderIdCandidate, userId: req.user._id }).lean();
           }
         } catch (dbErr) {
           console.error("[ChatBot] DB error during order lookup:", dbErr);
@@ -430,7 +452,7 @@ export const replyChatBot = async (req, res) => {
       const numericSelection = (analysis && analysis.index) || rawMessage.trim().match(/^(\d{1,2})$/)?.[1];
 
       if (!incomingUserId) {
-        botReply = "Please provide your order ID (e.g., 'Order #12345ABC') or log in so I can show your recent orders to select from.";
+        botReply = "Please provide your order number (e.g., 'MST-2026-000123') or log in so I can show your recent orders to select from.";
         return res.status(200).json({ reply: safeReplyText(botReply), intent: "track_order", contextProvided: false });
       }
 
@@ -473,8 +495,8 @@ export const replyChatBot = async (req, res) => {
         };
       });
 
-      botReply = "I found the following recent orders. Which one would you like me to track? Reply with the index (e.g., '1') or the order id.";
-      const textualList = ordersSummary.map((s, idx) => `${idx + 1}. ${s.itemsSummary} — ${s.status} — ${formatINR(s.totalAmount)} — ${s.orderedAt} (id: ${s.id})`).join('\n');
+      botReply = "I found the following recent orders. Which one would you like me to track? Reply with the index (e.g., '1') or the order number.";
+      const textualList = ordersSummary.map((s, idx) => `${idx + 1}. ${s.itemsSummary} — ${s.status} — ${formatINR(s.totalAmount)} — ${s.orderedAt} (order no: ${s.orderNumber || s.id})`).join('\n');
 
       return res.status(200).json({
         reply: safeReplyText(`${botReply}\n\n${textualList}`),
@@ -505,7 +527,7 @@ export const replyChatBot = async (req, res) => {
 
       const summary = userOrders.map(o => {
         const items = (o.items || []).map(i => i.title).join(', ') || 'No items';
-        return `• ${items} — ${o.status || 'status unknown'} — ${formatINR(o.totalAmount ?? 0)} — ${new Date(o.orderDate).toLocaleDateString('en-IN')} — id: ${String(o._id)}`;
+        return `• ${items} — ${o.status || 'status unknown'} — ${formatINR(o.totalAmount ?? 0)} — ${new Date(o.orderDate).toLocaleDateString('en-IN')} — order no: ${o.orderNumber || String(o._id)}`;
       }).join('\n');
 
       // Ask OpenAI to format a concise response (optional). If it fails, fallback to local summary.
@@ -528,6 +550,7 @@ export const replyChatBot = async (req, res) => {
         contextProvided = true;
         return res.status(200).json({ reply: safeReplyText(botReply), intent, contextProvided, orders: userOrders.map(o => ({
           id: String(o._id),
+          orderNumber: o.orderNumber || null,
           items: (o.items || []).map(i => i.title).slice(0,3).join(', '),
           status: o.status || 'unknown',
           totalAmount: o.totalAmount ?? 0,
@@ -537,7 +560,7 @@ export const replyChatBot = async (req, res) => {
         console.error("[ChatBot] OpenAI error (recent orders):", openAiErr);
         const fallbackSummary = userOrders.map(o => {
           const items = (o.items || []).map(i => i.title).join(', ') || 'No items';
-          return `• ${items} — ${o.status || 'status unknown'} — ${formatINR(o.totalAmount ?? 0)} — ${o.orderDate ? new Date(o.orderDate).toLocaleDateString('en-IN') : 'unknown'} — id: ${String(o._id)}`;
+          return `• ${items} — ${o.status || 'status unknown'} — ${formatINR(o.totalAmount ?? 0)} — ${o.orderDate ? new Date(o.orderDate).toLocaleDateString('en-IN') : 'unknown'} — order no: ${o.orderNumber || String(o._id)}`;
         }).join('\n');
         return res.status(200).json({
           reply: safeReplyText(`Here are your recent orders:\n\n${fallbackSummary}`),
@@ -545,6 +568,7 @@ export const replyChatBot = async (req, res) => {
           contextProvided: true,
           orders: userOrders.map(o => ({
             id: String(o._id),
+            orderNumber: o.orderNumber || null,
             itemsSummary: (o.items || []).map(i => i.title).slice(0,3).join(', '),
             status: o.status || 'unknown',
             totalAmount: o.totalAmount ?? 0,
@@ -1,12 +1,61 @@
 // controllers/OrderController.js
+import { once } from "events";
 import mongoose from "mongoose";
-import Order from "../models/OrderModel.js";
+import Order, { CANCELLATION_REASON_CODES, PAYMENT_METHODS } from "../models/OrderModel.js";
 import User from "../models/UserModel.js";
 import Product from "../models/ProductModel.js";
+import Cart from "../models/CartModel.js";
+import Refund from "../models/RefundModel.js";
 import { sendMail } from "../utils/MailSender.js";
-
-const generateOtp = () =>
-  Math.floor(100000 + Math.random() * 900000).toString();
+import { reserveStock, releaseStock, STOCK_RELEASING_STATUSES } from "../utils/Inventory.js";
+import { priceCartItems } from "../utils/CartPricing.js";
+import { findUserAddress, snapshotAddress, formatAddressLines } from "../utils/ShippingAddress.js";
+import { orderRef, orderLookupFilter } from "../utils/OrderNumber.js";
+import { buildOrderFilter, buildOrderSort } from "../utils/OrderFilters.js";
+import { hasPermission } from "../utils/Permissions.js";
+import { issueRefund, recordCodRefund, REFUNDING_STATUSES } from "../utils/Refunds.js";
+import { isInvoiceable, getOrCreateInvoice, renderInvoicePdf, invoiceFilename } from "../utils/Invoices.js";
+import {
+  createShipment,
+  buildTrackingView,
+  deliverShipment,
+  inTransitShipments,
+  sendDeliveredEmail,
+} from "../utils/Shipments.js";
+import {
+  MAX_OTP_ATTEMPTS,
+  issueDeliveryOtp,
+  sendDeliveryOtpEmail,
+  checkDeliveryOtp,
+  isOtpLocked,
+  resendCooldownRemaining,
+} from "../utils/DeliveryOtp.js";
+import DeliveryOtpAttempt from "../models/DeliveryOtpAttemptModel.js";
+import {
+  getCancellationPolicy,
+  updateCancellationPolicy,
+  customerCancellationBlocker,
+} from "../utils/CancellationPolicy.js";
+import {
+  getCodPolicy,
+  updateCodPolicy,
+  codIneligibilityReason,
+  collectsCashOnDelivery,
+  shipmentAmountDue,
+  collectionMatches,
+  recordCodCollection,
+} from "../utils/CashOnDelivery.js";
+import {
+  ORDER_STATUSES,
+  actorFor,
+  canTransition,
+  changeOrderStatus,
+  syncOrderStatus,
+  activeItems,
+  invalidTransitionBody,
+  buildStatusTimeline,
+  markReturnRefunded,
+} from "../utils/OrderStatus.js";
 
 const buildItemsSummaryText = (items = []) =>
   items
@@ -24,70 +73,126 @@ const buildItemsSummaryHtml = (items = []) =>
     )
     .join("")}</ul>`;
 
-/* -----------------------------------------
- * Create Order
- * ----------------------------------------- */
-export const createOrder = async (req, res) => {
-  try {
-    const { userId, items, totalAmount, status, shippingAddress } = req.body;
-
-    if (!userId || !Array.isArray(items) || items.length === 0 || !shippingAddress) {
-      return res.status(400).json({ message: "Missing required fields" });
-    }
-
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ message: "User not found" });
-
-    const newOrder = await Order.create({
-      userId: new mongoose.Types.ObjectId(userId),
-      items: items.map((item) => ({
-        productId: new mongoose.Types.ObjectId(item.productId),
-        title: item.title,
-        quantity: item.quantity,
-        price: item.price,
-      })),
-      totalAmount,
-      status: status || "Pending",
-      orderDate: new Date(),
-      shippingAddress,
-    });
-
-    // send confirmation email to user (non-blocking but awaited so we can log errors)
-    try {
-      const text = `Hi ${user.username || "Customer"},\n\nYour order has been placed successfully.\n\nOrder ID: ${newOrder._id}\nStatus: ${newOrder.status}\nTotal: ${newOrder.totalAmount}\n\nItems:\n${buildItemsSummaryText(newOrder.items)}\n\nShipping Address:\n${JSON.stringify(newOrder.shippingAddress, null, 2)}\n\nThank you for shopping with us.`;
-      const html = `
+const sendOrderConfirmationEmail = async (user, order) => {
+  const text = `Hi ${user.username || "Customer"},\n\nYour order has been placed successfully.\n\nOrder No: ${orderRef(order)}\nStatus: ${order.status}\nTotal: ${order.totalAmount}\n\nItems:\n${buildItemsSummaryText(order.items)}\n\nShipping Address:\n${formatAddressLines(order.shippingAddress).join("\n")}\n\nThank you for shopping with us.`;
+  const html = `
         <div style="font-family:Arial,sans-serif;color:#222;">
           <h2>Order Confirmation</h2>
           <p>Hi ${user.username || "Customer"},</p>
           <p>Your order has been placed successfully.</p>
-          <p><strong>Order ID:</strong> ${newOrder._id}</p>
-          <p><strong>Status:</strong> ${newOrder.status}</p>
-          <p><strong>Total:</strong> ${newOrder.totalAmount}</p>
+          <p><strong>Order No:</strong> ${orderRef(order)}</p>
+          <p><strong>Status:</strong> ${order.status}</p>
+          <p><strong>Total:</strong> ${order.totalAmount}</p>
           <p><strong>Items:</strong></p>
-          ${buildItemsSummaryHtml(newOrder.items)}
+          ${buildItemsSummaryHtml(order.items)}
           <p><strong>Shipping Address:</strong></p>
-          <pre>${JSON.stringify(newOrder.shippingAddress, null, 2)}</pre>
+          <p>${formatAddressLines(order.shippingAddress).join("<br/>")}</p>
           <hr/>
           <p style="color:#666">E-Commerce Team</p>
         </div>
       `;
-      await sendMail({
-        to: user.email,
-        subject: "Order Confirmation — Thank you for your purchase",
-        text,
-        html,
-      });
+  await sendMail({
+    to: user.email,
+    subject: "Order Confirmation — Thank you for your purchase",
+    text,
+    html,
+  });
+};
+
+// Error raised inside the checkout transaction; carries the HTTP status to reply with
+const checkoutError = (status, message, details) =>
+  Object.assign(new Error(message), { status, details });
+
+/* -----------------------------------------
+ * Checkout: caller's cart → order (single transaction)
+ * Requires MongoDB running as a replica set.
+ * ----------------------------------------- */
+export const checkout = async (req, res) => {
+  const userId = req.user._id;
+  const { addressId, paymentMethod = "ONLINE" } = req.body || {};
+
+  if (!addressId || !mongoose.Types.ObjectId.isValid(addressId)) {
+    return res.status(400).json({ message: "A valid addressId is required" });
+  }
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return res.status(400).json({ message: "Invalid paymentMethod", allowed: PAYMENT_METHODS });
+  }
+  const codPolicy = paymentMethod === "COD" ? await getCodPolicy() : null;
+
+  const session = await mongoose.startSession();
+  try {
+    let newOrder;
+    await session.withTransaction(async () => {
+      const cart = await Cart.findOne({ userId }).session(session);
+      if (!cart || cart.items.length === 0) {
+        throw checkoutError(400, "Your cart is empty");
+      }
+
+      // Re-price every line from the catalog; the client never sends prices here
+      const { lines, subtotal } = await priceCartItems(cart.items, { session });
+      const unavailable = lines.filter((line) => line.unavailable);
+      if (unavailable.length > 0) {
+        throw checkoutError(409, "Some items in your cart are unavailable", unavailable);
+      }
+
+      const address = await findUserAddress(userId, addressId, { session });
+      if (!address) {
+        throw checkoutError(400, "Selected address not found");
+      }
+      if (codPolicy) {
+        const codBlocker = codIneligibilityReason(subtotal, address.pinCode, codPolicy);
+        if (codBlocker) throw checkoutError(400, codBlocker);
+      }
+
+      const orderItems = lines.map((line) => ({
+        productId: new mongoose.Types.ObjectId(line.productId),
+        variantId: line.variantId ? new mongoose.Types.ObjectId(line.variantId) : undefined,
+        sku: line.sku,
+        attributes: line.attributes,
+        title: line.title,
+        quantity: line.quantity,
+        price: line.price,
+      }));
+
+      const reservation = await reserveStock(orderItems, { session });
+      if (!reservation.ok) {
+        throw checkoutError(409, "Some items are not available in the requested quantity", reservation.errors);
+      }
+
+      [newOrder] = await Order.create(
+        [
+          {
+            userId,
+            items: orderItems,
+            totalAmount: subtotal,
+            paymentMethod,
+            status: "Pending",
+            statusHistory: [{ status: "Pending", changedBy: userId, actor: "customer" }],
+            orderDate: new Date(),
+            shippingAddress: snapshotAddress(address),
+          },
+        ],
+        { session }
+      );
+
+      await Cart.deleteOne({ userId }, { session });
+    });
+
+    try {
+      await sendOrderConfirmationEmail(req.user, newOrder);
     } catch (mailErr) {
       console.error("Failed to send order confirmation email:", mailErr);
     }
 
-    return res.status(200).json({
-      message: "Order created successfully",
-      order: newOrder,
-    });
+    return res.status(201).json({ message: "Order placed successfully", order: newOrder });
   } catch (error) {
-    console.error("Error creating order:", error);
-    res.status(500).json({ message: "Internal error", error: error.message });
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
+    console.error("Checkout error:", error);
+    return res.status(500).json({ message: "Checkout failed", error: error.message });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -100,14 +205,25 @@ export const getOrdersForUser = async (req, res) => {
 
     const formatted = orders.map((o) => ({
       id: o._id.toString(),
+      orderNumber: o.orderNumber || null,
       date: o.orderDate, // your UI expects "date"
       totalAmount: o.totalAmount,
       status: o.status,
+      statusHistory: buildStatusTimeline(o),
+      shipments: buildTrackingView(o),
       items: (o.items || []).map((it) => ({
+        orderItemId: it._id.toString(),
         productId: it.productId?._id?.toString() || it.productId?.toString() || null,
+        variantId: it.variantId ? it.variantId.toString() : null,
+        sku: it.sku || null,
+        attributes: it.attributes || null,
         title: it.productId?.name || it.title, // fallback to stored title
         quantity: it.quantity,
         price: it.price,
+        status: it.status,
+        shipmentId: it.shipmentId ? it.shipmentId.toString() : null,
+        cancelledAt: it.cancelledAt || null,
+        returnStatus: it.returnStatus || null,
         image:
           it.productId?.images && it.productId.images.length > 0
             ? it.productId.images[0]
@@ -129,14 +245,13 @@ export const getAllOrders = async (req, res) => {
   try {
     const page = Math.max(parseInt(req.query.page || "1", 10), 1);
     const limit = Math.max(parseInt(req.query.limit || "10", 10), 1);
-    const sortBy = ["orderDate", "totalAmount", "status", "_id"].includes(req.query.sortBy)
-      ? req.query.sortBy
-      : "orderDate";
-    const sortOrder = (req.query.sortOrder || "desc").toLowerCase() === "asc" ? 1 : -1;
-
-    const totalOrders = await Order.countDocuments();
-    const orders = await Order.find()
-      .sort({ [sortBy]: sortOrder })
+
+    const { filter, error } = await buildOrderFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const totalOrders = await Order.countDocuments(filter);
+    const orders = await Order.find(filter)
+      .sort(buildOrderSort(req.query))
       .skip((page - 1) * limit)
       .limit(limit)
       .populate("userId", "username email");
@@ -148,10 +263,82 @@ export const getAllOrders = async (req, res) => {
   }
 };
 
+const ORDER_EXPORT_COLUMNS = [
+  ["Order No", (o) => orderRef(o)],
+  ["Order Date", (o) => o.orderDate?.toISOString()],
+  ["Customer", (o) => o.userId?.username],
+  ["Email", (o) => o.userId?.email],
+  ["Status", (o) => o.status],
+  ["Payment Method", (o) => o.paymentMethod],
+  ["Payment Status", (o) => o.paymentStatus],
+  ["Paid At", (o) => o.paidAt?.toISOString()],
+  ["Items", (o) => activeItems(o).reduce((sum, it) => sum + it.quantity, 0)],
+  ["Products", (o) => activeItems(o).map((it) => `${it.title} x${it.quantity}`).join("; ")],
+  ["Total", (o) => o.totalAmount],
+  ["City", (o) => o.shippingAddress?.city],
+  ["State", (o) => o.shippingAddress?.state],
+  ["Pincode", (o) => o.shippingAddress?.pinCode],
+  ["Delivered At", (o) => o.deliveredAt?.toISOString()],
+  ["Cancellation Reason", (o) => o.cancellation?.reasonCode],
+];
+
+// Quote a CSV field; text starting with = + - @ is prefixed so spreadsheets don't run it as a formula
+const csvCell = (value) => {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => `${cells.map(csvCell).join(",")}\r\n`;
+
+/* -----------------------------------------
+ * Admin: CSV export of orders, same filters as getAllOrders
+ * Streams one row per order so a month of orders never sits in memory.
+ * ----------------------------------------- */
+export const exportOrders = async (req, res) => {
+  try {
+    const { filter, error } = await buildOrderFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const cursor = Order.find(filter)
+      .sort(buildOrderSort(req.query))
+      .populate("userId", "username email")
+      .lean()
+      .cursor();
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.csv"`);
+    // BOM so Excel opens the file as UTF-8
+    res.write(`\ufeff${csvRow(ORDER_EXPORT_COLUMNS.map(([header]) => header))}`);
+
+    try {
+      for await (const order of cursor) {
+        if (!res.write(csvRow(ORDER_EXPORT_COLUMNS.map(([, value]) => value(order))))) {
+          await once(res, "drain");
+        }
+      }
+    } catch (streamErr) {
+      // Headers are already sent; cut the download short so it isn't mistaken for a full export
+      console.error("Order export stream error:", streamErr);
+      await cursor.close();
+      return res.destroy(streamErr);
+    }
+    res.end();
+  } catch (error) {
+    console.error("Error exporting orders:", error);
+    res.status(500).json({ message: "Error exporting orders" });
+  }
+};
+
 export const updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Invalid status", allowed: ORDER_STATUSES });
+    }
 
     const order = await Order.findById(orderId).populate("userId", "email username");
     if (!order) return res.status(404).json({ message: "Order not found" });
@@ -159,38 +346,18 @@ export const updateOrderStatus = async (req, res) => {
     if (status === "Delivered") {
       return res.status(400).json({
         message:
-          "Direct delivery is not allowed. Use /api/orders/verify-delivery-otp/:orderId to verify OTP and mark as Delivered.",
+          "Direct delivery is not allowed. The delivery agent must verify the OTP via /api/orders/verify-otp/:orderId to mark it Delivered.",
       });
     }
 
+    // Shipping the whole order = one package with every line still to ship
     if (status === "Shipped") {
-      // (Re)generate OTP whenever shipping is set
-      const otp = generateOtp();
-      order.deliveryOtp = otp;
-      order.otpExpiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes (match email text)
-      order.status = "Shipped";
+      const shipped = await createShipment(order, req.body.shipment, { user: req.user, note });
+      if (shipped.error) return res.status(shipped.status).json({ message: shipped.error });
       await order.save();
 
-      const html = `
-        <div style="font-family:Arial,sans-serif;font-size:14px;color:#222">
-          <h2>Your order is on the way 🚚</h2>
-          <p>Hi ${order.userId.username || "there"},</p>
-          <p>Your delivery OTP is:</p>
-          <div style="font-size:24px;font-weight:700;letter-spacing:3px;margin:10px 0">${otp}</div>
-          <p>This OTP is valid for <strong>10 minutes</strong>. Share it with the delivery agent to complete delivery.</p>
-          <p>Order ID: <strong>${order._id}</strong></p>
-          <hr />
-          <p style="color:#666">E-Commerce Team</p>
-        </div>
-      `;
-
       try {
-        await sendMail({
-          to: order.userId.email,
-          subject: "Your Delivery OTP",
-          text: `Your delivery OTP is ${otp}. Valid for 10 minutes. Order: ${order._id}`,
-          html,
-        });
+        await sendDeliveryOtpEmail(order, order.userId, shipped.otp);
       } catch (mailErr) {
         console.error("Failed to send delivery OTP email:", mailErr);
       }
@@ -201,17 +368,34 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
+    // Lines cancelled earlier already gave their stock back
+    const stillHeld = activeItems(order);
+    const previousStatus = order.status;
+    if (!changeOrderStatus(order, status, { user: req.user, note })) {
+      return res.status(409).json(invalidTransitionBody(previousStatus, status));
+    }
+
     // For other statuses (Processing, Cancelled, Return Requested, etc.) update and notify
-    order.status = status;
+    const releasesStock =
+      STOCK_RELEASING_STATUSES.includes(status) && !STOCK_RELEASING_STATUSES.includes(previousStatus);
+    const refundsPayment =
+      REFUNDING_STATUSES.includes(status) && !REFUNDING_STATUSES.includes(previousStatus);
     await order.save();
 
+    if (releasesStock) {
+      await releaseStock(stillHeld);
+    }
+    if (refundsPayment) {
+      await issueRefund(order, { reason: `Order ${status}`, initiatedBy: req.user._id });
+    }
+
     // Notify user about status change
     try {
-      const text = `Hi ${order.userId.username || "Customer"},\n\nYour order status has been updated.\n\nOrder ID: ${order._id}\nNew Status: ${order.status}\n\nThank you.`;
+      const text = `Hi ${order.userId.username || "Customer"},\n\nYour order status has been updated.\n\nOrder No: ${orderRef(order)}\nNew Status: ${order.status}\n\nThank you.`;
       const html = `
         <div style="font-family:Arial,sans-serif;color:#222">
           <p>Hi ${order.userId.username || "Customer"},</p>
-          <p>Your order <strong>${order._id}</strong> status has been updated to <strong>${order.status}</strong>.</p>
+          <p>Your order <strong>${orderRef(order)}</strong> status has been updated to <strong>${order.status}</strong>.</p>
           <p>Thanks for shopping with us.</p>
           <hr/>
           <p style="color:#666">E-Commerce Team</p>
@@ -235,94 +419,228 @@ export const updateOrderStatus = async (req, res) => {
 };
 
 /* -----------------------------------------
- * Verify OTP → mark Delivered
+ * Verify OTP → mark Delivered (delivery agents only)
  * ----------------------------------------- */
 export const verifyDeliveryOtp = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { userOtp } = req.body;
+    const { userOtp, shipmentId, amountCollected } = req.body || {};
 
-    const order = await Order.findById(orderId);
-    if (!order) return res.status(404).json({ message: "Order not found" });
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (!userOtp || !/^\d{6}$/.test(String(userOtp))) {
+      return res.status(400).json({ message: "A 6-digit OTP is required" });
+    }
 
-    if (order.status !== "Shipped") {
-      return res.status(400).json({ message: "OTP can only be verified for Shipped orders." });
+    // Which package is being handed over; optional while only one is in transit
+    const current = await Order.findById(orderId).select("status items shipments paymentMethod paymentStatus");
+    if (!current) return res.status(404).json({ message: "Order not found" });
+    const pending = inTransitShipments(current);
+    if (current.status === "Shipped" && pending.length === 0) {
+      return res.status(409).json({ message: "No package is in transit for this order" });
     }
-    if (!order.deliveryOtp || !order.otpExpiresAt) {
-      return res.status(400).json({ message: "No OTP generated" });
+    const target = shipmentId
+      ? pending.find((sh) => sh._id.toString() === String(shipmentId))
+      : pending.length === 1 && pending[0];
+    if (!target && pending.length > 0) {
+      return res.status(400).json({
+        message: shipmentId ? "That shipment isn't in transit for this order" : "shipmentId is required: this order has several packages in transit",
+        shipments: pending.map((sh) => ({ shipmentId: sh._id.toString(), trackingNumber: sh.trackingNumber })),
+      });
     }
-    if (Date.now() > order.otpExpiresAt) {
-      return res.status(400).json({ message: "OTP expired" });
+
+    // Cash on delivery: the agent confirms the cash taken before the OTP is checked
+    const collectsCash = Boolean(target) && collectsCashOnDelivery(current);
+    if (collectsCash) {
+      const amountDue = shipmentAmountDue(current, target);
+      if (amountCollected == null || !Number.isFinite(Number(amountCollected))) {
+        return res.status(400).json({ message: "amountCollected is required for cash on delivery", amountDue });
+      }
+      if (!collectionMatches(amountDue, amountCollected)) {
+        return res.status(400).json({ message: `Collect exactly ${amountDue} for this package`, amountDue });
+      }
     }
-    if (order.deliveryOtp !== userOtp) {
-      return res.status(400).json({ message: "Invalid OTP" });
+
+    const outcome = await checkDeliveryOtp(orderId, userOtp);
+    if (!outcome) return res.status(404).json({ message: "Order not found" });
+    const { result, order, attempt } = outcome;
+
+    await DeliveryOtpAttempt.create({
+      orderId,
+      agentId: req.user._id,
+      result,
+      attempt,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    switch (result) {
+      case "not_shipped":
+        return res.status(400).json({ message: "OTP can only be verified for Shipped orders." });
+      case "no_otp":
+        return res.status(400).json({ message: "No active OTP. Ask the customer to request a new one." });
+      case "expired":
+        return res.status(400).json({ message: "OTP expired. Ask the customer to request a new one." });
+      case "locked":
+        return res.status(429).json({
+          message: "Too many incorrect attempts. OTP verification is locked for this order.",
+          lockedUntil: order.otpLockedUntil,
+        });
+      case "invalid": {
+        const attemptsLeft = Math.max(0, MAX_OTP_ATTEMPTS - attempt);
+        if (attemptsLeft === 0) {
+          return res.status(429).json({
+            message: "Invalid OTP. Too many incorrect attempts; a new OTP is needed once the lock expires.",
+            lockedUntil: order.otpLockedUntil,
+          });
+        }
+        return res.status(400).json({ message: "Invalid OTP", attemptsLeft });
+      }
+      default:
+        break;
     }
 
-    order.status = "Delivered";
+    const shipment = order.shipments.id(target._id);
+    deliverShipment(order, shipment, { user: req.user, note: "Delivery OTP verified" });
+    if (collectsCash) recordCodCollection(order, shipment, { amountCollected: Number(amountCollected), user: req.user });
     order.otpVerified = true;
-    order.deliveryOtp = null;
-    order.otpExpiresAt = null;
+    order.otpAttempts = 0;
+
+    // The OTP has been seen by this agent, so other packages get a new one
+    let nextOtp;
+    if (inTransitShipments(order).length > 0) nextOtp = await issueDeliveryOtp(order);
     await order.save();
 
     // Notify user about successful delivery
-    try {
-      // get user email/username (populate if necessary)
-      const user = await User.findById(order.userId).select("email username");
-      const text = `Hi ${user?.username || "Customer"},\n\nYour order ${order._id} has been delivered successfully.\n\nThank you for shopping with us.`;
-      const html = `
-        <div style="font-family:Arial,sans-serif;color:#222">
-          <p>Hi ${user?.username || "Customer"},</p>
-          <p>Your order <strong>${order._id}</strong> has been delivered successfully.</p>
-          <p>We hope you enjoy your purchase.</p>
-          <hr/>
-          <p style="color:#666">E-Commerce Team</p>
-        </div>
-      `;
-      await sendMail({
-        to: user?.email,
-        subject: "Order Delivered — Thank you",
-        text,
-        html,
-      });
-    } catch (mailErr) {
-      console.error("Failed to send delivery confirmation email:", mailErr);
+    await sendDeliveredEmail(order, shipment);
+    if (nextOtp) {
+      const customer = await User.findById(order.userId).select("email username");
+      try {
+        await sendDeliveryOtpEmail(order, customer, nextOtp);
+      } catch (mailErr) {
+        console.error("Failed to send delivery OTP email:", mailErr);
+      }
     }
 
-    res.status(200).json({ message: "OTP verified. Order delivered.", order });
+    res.status(200).json({
+      message: order.status === "Delivered" ? "OTP verified. Order delivered." : "OTP verified. Package delivered.",
+      order,
+    });
   } catch (error) {
     console.error("Error verifying OTP:", error);
     res.status(500).json({ message: "Failed to verify OTP" });
   }
 };
 
+/* -----------------------------------------
+ * Resend delivery OTP (customer, admin or delivery agent)
+ * ----------------------------------------- */
+export const resendDeliveryOtp = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const order = await Order.findById(orderId).populate("userId", "email username");
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    const isOwner = order.userId._id.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== "delivery_agent" && !hasPermission(req.user, "shipments:write")) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.status !== "Shipped") {
+      return res.status(409).json({ message: "A delivery OTP can only be sent for Shipped orders." });
+    }
+    if (isOtpLocked(order)) {
+      return res.status(429).json({
+        message: "OTP verification is locked after too many incorrect attempts. Try again later.",
+        lockedUntil: order.otpLockedUntil,
+      });
+    }
+    const retryAfter = resendCooldownRemaining(order);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message: `Please wait ${retryAfter}s before requesting another OTP.`, retryAfter });
+    }
+
+    const otp = await issueDeliveryOtp(order);
+    await order.save();
+
+    try {
+      await sendDeliveryOtpEmail(order, order.userId, otp);
+    } catch (mailErr) {
+      console.error("Failed to send delivery OTP email:", mailErr);
+      return res.status(502).json({ message: "Failed to send the OTP email. Please try again." });
+    }
+
+    res.status(200).json({ message: "A new delivery OTP has been sent to the customer.", expiresAt: order.otpExpiresAt });
+  } catch (error) {
+    console.error("Error resending OTP:", error);
+    res.status(500).json({ message: "Failed to resend OTP" });
+  }
+};
+
 /* -----------------------------------------
  * Cancel item in order
  * ----------------------------------------- */
 export const cancelOrderItem = async (req, res) => {
   try {
     const { id } = req.params;
-    const { productId } = req.body;
+    const { orderItemId, productId, variantId } = req.body || {};
 
     const order = await Order.findById(id).populate("userId", "email username");
     if (!order) return res.status(404).json({ message: "Order not found" });
+    const onBehalf = hasPermission(req.user, "orders:cancel");
+    if (!onBehalf && order.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Order not found" });
+    }
 
-    const idx = order.items.findIndex((i) => i.productId.toString() === productId);
-    if (idx === -1) return res.status(404).json({ message: "Product not in order" });
+    const cancellable = (i) => ["Pending", "Processing"].includes(i.status);
+    const item = orderItemId
+      ? order.items.id(orderItemId)
+      : order.items.find(
+          (i) =>
+            cancellable(i) &&
+            i.productId.toString() === productId &&
+            (!variantId || String(i.variantId || "") === String(variantId))
+        );
+    if (!item) return res.status(404).json({ message: "Product not in order" });
+    if (!cancellable(item)) {
+      return res.status(409).json({ message: `This item can't be cancelled once it is ${item.status}` });
+    }
+    if (!onBehalf) {
+      const blocker = customerCancellationBlocker(order, await getCancellationPolicy());
+      if (blocker) return res.status(409).json({ message: blocker });
+    }
 
-    const item = order.items[idx];
+    // The line stays on the order (marked Cancelled) so the history is kept
+    item.status = "Cancelled";
+    item.cancelledAt = new Date();
+    item.cancelledBy = req.user._id;
     order.totalAmount -= item.price * item.quantity;
-    order.items.splice(idx, 1);
-    if (order.items.length === 0) order.status = "Cancelled";
+    syncOrderStatus(order, {
+      user: req.user,
+      note: activeItems(order).length === 0 ? "All items cancelled" : `Cancelled ${item.title}`,
+    });
 
     await order.save();
+    await releaseStock([item]);
+    await issueRefund(order, {
+      amount: item.price * item.quantity,
+      reason: "Item cancelled",
+      items: [item],
+      initiatedBy: req.user._id,
+    });
 
     // Notify user about item cancellation
     try {
-      const text = `Hi ${order.userId.username || "Customer"},\n\nAn item was removed from your order ${order._id}.\n\nRemoved Item: ${item.title || item.productId}\nQuantity: ${item.quantity}\n\nNew total: ${order.totalAmount}\n\nIf you didn't request this, contact support.`;
+      const text = `Hi ${order.userId.username || "Customer"},\n\nAn item in your order ${orderRef(order)} was cancelled.\n\nCancelled Item: ${item.title || item.productId}\nQuantity: ${item.quantity}\n\nNew total: ${order.totalAmount}\n\nIf you didn't request this, contact support.`;
       const html = `
         <div style="font-family:Arial,sans-serif;color:#222">
           <p>Hi ${order.userId.username || "Customer"},</p>
-          <p>The following item was removed from your order <strong>${order._id}</strong>:</p>
+          <p>The following item in your order <strong>${orderRef(order)}</strong> was cancelled:</p>
           <ul>
             <li>${item.title || item.productId} — Qty: ${item.quantity} — Price: ${item.price}</li>
           </ul>
@@ -333,7 +651,7 @@ export const cancelOrderItem = async (req, res) => {
       `;
       await sendMail({
         to: order.userId.email,
-        subject: "Order Update — Item Removed",
+        subject: "Order Update — Item Cancelled",
         text,
         html,
       });
@@ -341,7 +659,7 @@ export const cancelOrderItem = async (req, res) => {
       console.error("Failed to send item cancellation email:", mailErr);
     }
 
-    res.status(200).json({ message: "Item removed", order });
+    res.status(200).json({ message: "Item cancelled", order });
   } catch (error) {
     console.error("Cancel error:", error);
     res.status(500).json({ message: "Failed to cancel item" });
@@ -349,53 +667,278 @@ export const cancelOrderItem = async (req, res) => {
 };
 
 /* -----------------------------------------
- * Get single order status
+ * Cancel the whole order (owner, or admin)
+ * body: { reasonCode, comments? }
+ * Customers are held to the admin-configured cancellation policy.
  * ----------------------------------------- */
-export const getOrderStatus = async (req, res) => {
+export const cancelOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const order = await Order.findById(id).select("status");
-    if (!order) return res.status(404).json({ message: "Order not found" });
-    res.status(200).json({ status: order.status });
-  } catch (error) {
-    console.error("Get status error:", error);
-    res.status(500).json({ message: "Failed to get status" });
-  }
-};
+    const { reasonCode, comments } = req.body || {};
+
+    if (!CANCELLATION_REASON_CODES.includes(reasonCode)) {
+      return res.status(400).json({ message: "Invalid reasonCode", allowed: CANCELLATION_REASON_CODES });
+    }
+    const trimmedComments = typeof comments === "string" ? comments.trim() : "";
+    if (reasonCode === "OTHER" && !trimmedComments) {
+      return res.status(400).json({ message: "Please describe the reason in comments" });
+    }
 
-export const requestReturn = async (req, res) => {
-  try {
-    const { id } = req.params;
     const order = await Order.findById(id).populate("userId", "email username");
     if (!order) return res.status(404).json({ message: "Order not found" });
+    // Staff cancelling for a customer aren't held to the customer cutoff
+    const onBehalf = hasPermission(req.user, "orders:cancel");
+    if (!onBehalf && order.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Order not found" });
+    }
 
-    order.status = "Return Requested";
-    await order.save();
+    if (!canTransition(order.status, "Cancelled")) {
+      return res.status(409).json({ message: `Orders can't be cancelled once they are ${order.status}` });
+    }
+    if (!onBehalf) {
+      const blocker = customerCancellationBlocker(order, await getCancellationPolicy());
+      if (blocker) return res.status(409).json({ message: blocker });
+    }
+
+    // Lines cancelled earlier already gave their stock back
+    const stillHeld = activeItems(order);
+    changeOrderStatus(order, "Cancelled", {
+      user: req.user,
+      note: trimmedComments ? `${reasonCode}: ${trimmedComments}` : reasonCode,
+    });
+    order.cancellation = {
+      reasonCode,
+      comments: trimmedComments || undefined,
+      cancelledBy: req.user._id,
+      actor: actorFor(req.user),
+      cancelledAt: new Date(),
+    };
+
+    // Versioned save: if an admin ships the order in the meantime, this fails
+    // instead of overwriting it
+    order.increment();
+    try {
+      await order.save();
+    } catch (saveErr) {
+      if (saveErr instanceof mongoose.Error.VersionError) {
+        return res.status(409).json({ message: "The order changed while cancelling; please try again" });
+      }
+      throw saveErr;
+    }
+
+    await releaseStock(stillHeld);
+    const refund = await issueRefund(order, {
+      reason: `Order cancelled: ${reasonCode}`,
+      initiatedBy: req.user._id,
+    });
 
-    // Notify user about return request accepted
     try {
-      const text = `Hi ${order.userId.username || "Customer"},\n\nWe've received your return request for order ${order._id}. Our team will review and contact you with the next steps.\n\nThank you.`;
+      const text = `Hi ${order.userId.username || "Customer"},\n\nYour order ${orderRef(order)} has been cancelled.\n\nItems:\n${buildItemsSummaryText(stillHeld)}${refund ? "\n\nA refund has been initiated to your original payment method." : ""}\n\nIf you didn't request this, contact support.`;
       const html = `
         <div style="font-family:Arial,sans-serif;color:#222">
           <p>Hi ${order.userId.username || "Customer"},</p>
-          <p>We've received your return request for order <strong>${order._id}</strong>. Our team will review and contact you with the next steps.</p>
+          <p>Your order <strong>${orderRef(order)}</strong> has been cancelled.</p>
+          ${buildItemsSummaryHtml(stillHeld)}
+          ${refund ? "<p>A refund has been initiated to your original payment method.</p>" : ""}
           <hr/>
           <p style="color:#666">E-Commerce Team</p>
         </div>
       `;
       await sendMail({
         to: order.userId.email,
-        subject: "Return Request Received",
+        subject: "Order Cancelled",
         text,
         html,
       });
     } catch (mailErr) {
-      console.error("Failed to send return request email:", mailErr);
+      console.error("Failed to send order cancellation email:", mailErr);
+    }
+
+    res.status(200).json({ message: "Order cancelled", order });
+  } catch (error) {
+    console.error("Cancel order error:", error);
+    res.status(500).json({ message: "Failed to cancel order" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: view / change the customer cancellation policy
+ * body: { allowedStatuses?: ["Pending", "Processing"], windowMinutes?: number | null }
+ * ----------------------------------------- */
+export const getCancellationPolicySettings = async (req, res) => {
+  try {
+    res.status(200).json({ policy: await getCancellationPolicy() });
+  } catch (error) {
+    console.error("Get cancellation policy error:", error);
+    res.status(500).json({ message: "Failed to get cancellation policy" });
+  }
+};
+
+export const updateCancellationPolicySettings = async (req, res) => {
+  try {
+    const { policy, error } = await updateCancellationPolicy(req.body, req.user);
+    if (error) return res.status(400).json({ message: error });
+    res.status(200).json({ message: "Cancellation policy updated", policy });
+  } catch (error) {
+    console.error("Update cancellation policy error:", error);
+    res.status(500).json({ message: "Failed to update cancellation policy" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: view / change the cash-on-delivery policy
+ * body: { enabled?, maxOrderValue?: number | null, allowedPincodes?: [string] }
+ * ----------------------------------------- */
+export const getCodPolicySettings = async (req, res) => {
+  try {
+    res.status(200).json({ policy: await getCodPolicy() });
+  } catch (error) {
+    console.error("Get COD policy error:", error);
+    res.status(500).json({ message: "Failed to get COD policy" });
+  }
+};
+
+export const updateCodPolicySettings = async (req, res) => {
+  try {
+    const { policy, error } = await updateCodPolicy(req.body, req.user);
+    if (error) return res.status(400).json({ message: error });
+    res.status(200).json({ message: "COD policy updated", policy });
+  } catch (error) {
+    console.error("Update COD policy error:", error);
+    res.status(500).json({ message: "Failed to update COD policy" });
+  }
+};
+
+/* -----------------------------------------
+ * Get single order status
+ * ----------------------------------------- */
+export const getOrderStatus = async (req, res) => {
+  try {
+    // Accepts the order number (MST-2026-000123) as well as the Mongo id
+    const filter = orderLookupFilter(req.params.id);
+    if (!filter) return res.status(404).json({ message: "Order not found" });
+    const order = await Order.findOne(filter).select("orderNumber userId status statusHistory items shipments");
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    if (!hasPermission(req.user, "orders:read") && order.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    res.status(200).json({
+      orderId: order._id,
+      orderNumber: order.orderNumber || null,
+      status: order.status,
+      statusHistory: buildStatusTimeline(order),
+      items: order.items.map((it) => ({
+        orderItemId: it._id.toString(),
+        title: it.title,
+        quantity: it.quantity,
+        status: it.status,
+        shipmentId: it.shipmentId ? it.shipmentId.toString() : null,
+      })),
+      shipments: buildTrackingView(order),
+    });
+  } catch (error) {
+    console.error("Get status error:", error);
+    res.status(500).json({ message: "Failed to get status" });
+  }
+};
+
+/* -----------------------------------------
+ * Refunds for an order (owner or admin)
+ * ----------------------------------------- */
+export const getOrderRefunds = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const order = await Order.findById(id).select("userId paymentStatus");
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    if (!hasPermission(req.user, "orders:read") && order.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const refunds = await Refund.find({ orderId: id }).sort({ createdAt: -1 });
+    res.status(200).json({ paymentStatus: order.paymentStatus, refunds });
+  } catch (error) {
+    console.error("Get refunds error:", error);
+    res.status(500).json({ message: "Failed to get refunds" });
+  }
+};
+
+/* -----------------------------------------
+ * Download the GST tax invoice for an order
+ * ----------------------------------------- */
+export const getOrderInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    if (!hasPermission(req.user, "orders:read") && order.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (!isInvoiceable(order)) {
+      return res.status(409).json({ message: "An invoice is available once the order is paid or delivered" });
+    }
+
+    const invoice = await getOrCreateInvoice(order);
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoiceFilename(invoice)}"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Get invoice error:", error);
+    res.status(500).json({ message: "Failed to generate invoice" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: issue a full or partial refund (COD orders: record a cash refund)
+ * ----------------------------------------- */
+export const createOrderRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason, reference } = req.body || {};
+
+    if (!reason || typeof reason !== "string") {
+      return res.status(400).json({ message: "A refund reason is required" });
+    }
+    if (amount != null && (isNaN(Number(amount)) || Number(amount) <= 0)) {
+      return res.status(400).json({ message: "Refund amount must be a positive number" });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    // Cash-on-delivery money never went through the gateway; staff pay it back
+    // by hand and record it here with how it was paid (reference)
+    if (order.paymentMethod === "COD") {
+      const refund = await recordCodRefund(order, {
+        amount: amount != null ? Number(amount) : undefined,
+        reason: reason.trim(),
+        reference: typeof reference === "string" ? reference.trim() : undefined,
+        initiatedBy: req.user._id,
+      });
+      if (!refund) {
+        return res.status(409).json({ message: "No collected cash left to refund for this order" });
+      }
+      if (markReturnRefunded(order, { user: req.user, note: "Cash refund recorded" })) await order.save();
+      return res.status(201).json({ message: "Refund recorded", refund });
+    }
+
+    const refund = await issueRefund(order, {
+      amount: amount != null ? Number(amount) : undefined,
+      reason: reason.trim(),
+      initiatedBy: req.user._id,
+    });
+    if (!refund) {
+      return res.status(409).json({ message: "Nothing to refund for this order" });
+    }
+    if (refund.status === "Failed") {
+      return res.status(502).json({ message: "Refund failed at the payment gateway", refund });
     }
+    if (markReturnRefunded(order, { user: req.user, note: "Refund issued" })) await order.save();
 
-    res.status(200).json({ message: "Return requested", order });
+    res.status(201).json({ message: "Refund initiated", refund });
   } catch (error) {
-    console.error("Request return error:", error);
-    res.status(500).json({ message: "Failed to request return" });
+    console.error("Create refund error:", error);
+    res.status(500).json({ message: "Failed to create refund" });
   }
 };
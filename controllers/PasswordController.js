@@ -1,10 +1,12 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/UserModel.js';
 import { sendMail } from '../utils/MailSender.js';
-import crypto from 'crypto';
 import bcrypt from 'bcrypt';
+import { revokeAllSessions, createAuthSession } from '../utils/AuthSessions.js';
+import { passwordPolicyErrors } from '../utils/PasswordPolicy.js';
+import { clearAccountFailures } from '../utils/LoginThrottle.js';
+import { startPasswordReset } from '../utils/PasswordReset.js';
 
-const OTP_TTL_MS = 15 * 60 * 1000; // 15 minutes
 const MAX_OTP_ATTEMPTS = 5;
 const RESET_JWT_EXPIRES = '15m'; // short lived reset token
 
@@ -12,6 +14,28 @@ const RESET_JWT_EXPIRES = '15m'; // short lived reset token
 const genericOtpSentResponse = (res) =>
   res.status(200).json({ message: 'If an account with that email exists, an OTP has been sent.' });
 
+// Security notice after any password change; never throws
+const sendPasswordChangedEmail = async (user) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: `Hi ${user.username || 'there'},\n\nThe password for your account was changed on ${new Date().toUTCString()}. You have been signed out on all devices.\n\nIf this wasn't you, reset your password right away and contact support.`,
+      html: `
+        <div style="font-family:Arial,sans-serif;color:#222">
+          <p>Hi ${user.username || 'there'},</p>
+          <p>The password for your account was changed on <strong>${new Date().toUTCString()}</strong>. You have been signed out on all devices.</p>
+          <p>If this wasn't you, reset your password right away and contact support.</p>
+          <hr/>
+          <p style="color:#666">E-Commerce Team</p>
+        </div>
+      `,
+    });
+  } catch (mailErr) {
+    console.error('Failed to send password changed email:', mailErr);
+  }
+};
+
 const forgotPassword = async (req, res) => {
   const { email } = req.body;
   if (!email) return res.status(400).json({ message: 'Email is required' });
@@ -26,34 +50,7 @@ const forgotPassword = async (req, res) => {
       return genericOtpSentResponse(res);
     }
 
-    // Generate numeric OTP (6 digits)
-    const otp = crypto.randomInt(100000, 999999).toString();
-
-    // Hash the OTP before storing
-    const otpHash = await bcrypt.hash(otp, 10);
-
-    // Store OTP hash, expiry and attempts in user.resetPassword subdocument
-    user.resetPassword = {
-      otpHash,
-      otpExpires: Date.now() + OTP_TTL_MS,
-      otpAttempts: 0,
-      verified: false,         // will be set true by validateOtp
-      resetTokenUsed: false,   // will be set true after password reset
-    };
-
-    await user.save();
-
-    // Send OTP by email (only plaintext OTP — reset token is issued later)
-    // NOTE: in production avoid logging OTP; only for dev debugging uncomment cautiously
-    // console.log(`Password reset OTP for ${email}: ${otp}`);
-
-    const mailPayload = {
-      to: email,
-      subject: 'Password Reset OTP',
-      text: `Your OTP is: ${otp}. It expires in 15 minutes. If you did not request this, please ignore this email.`,
-    };
-
-    await sendMail(mailPayload);
+    await startPasswordReset(user);
 
     return genericOtpSentResponse(res);
   } catch (error) {
@@ -139,9 +136,10 @@ const resetPassword = async (req, res) => {
       return res.status(400).json({ message: 'Reset token already used' });
     }
 
-    // Password policy: enforce minimum length (adjust as needed)
-    if (newPassword.length < 8) {
-      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    // Shared password policy (utils/PasswordPolicy.js)
+    const passwordErrors = passwordPolicyErrors(newPassword, { username: user.username, email: user.email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
     }
 
     // Check new password not same as old (compare against stored hash)
@@ -162,9 +160,18 @@ const resetPassword = async (req, res) => {
       verified: false,
       resetTokenUsed: true,
     };
+    // An admin-forced reset is complete
+    user.passwordResetRequired = false;
 
     await user.save();
 
+    // Whoever knew the old password may still be signed in somewhere
+    await revokeAllSessions(user._id, 'password_reset');
+    // Proving ownership of the email also lifts a login lockout
+    await clearAccountFailures(user.email);
+
+    await sendPasswordChangedEmail(user);
+
     return res.status(200).json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('resetPassword error:', error);
@@ -172,4 +179,45 @@ const resetPassword = async (req, res) => {
   }
 };
 
-export { forgotPassword, validateOtp, resetPassword };
+// Signed-in password change; the current password is required
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (typeof currentPassword !== 'string' || typeof newPassword !== 'string' || !currentPassword || !newPassword) {
+    return res.status(400).json({ message: 'currentPassword and newPassword are required' });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const currentMatches = await bcrypt.compare(currentPassword, user.password);
+    if (!currentMatches) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'New password cannot be the same as the old password' });
+    }
+
+    const passwordErrors = passwordPolicyErrors(newPassword, { username: user.username, email: user.email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Every existing session ends, this one included; the caller gets fresh tokens
+    await revokeAllSessions(user._id, 'password_change');
+    const { accessToken, refreshToken } = await createAuthSession(user, req);
+
+    await sendPasswordChangedEmail(user);
+
+    return res.status(200).json({ message: 'Password changed successfully', token: accessToken, refreshToken });
+  } catch (error) {
+    console.error('changePassword error:', error);
+    return res.status(500).json({ message: 'Error changing password' });
+  }
+};
+
+export { forgotPassword, validateOtp, resetPassword, changePassword };
@@ -0,0 +1,300 @@
+// controllers/PaymentController.js
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import Payment from "../models/PaymentModel.js";
+import WebhookEvent from "../models/WebhookEventModel.js";
+import { verifyPaymentSignature, verifyWebhookSignature, toPaise } from "../utils/Razorpay.js";
+import { getPaymentGateway } from "../utils/PaymentGateway.js";
+import { applyProcessedRefund, issueRefund } from "../utils/Refunds.js";
+import { changeOrderStatus } from "../utils/OrderStatus.js";
+import { hasPermission } from "../utils/Permissions.js";
+
+const canSeeOrder = (user, order) =>
+  hasPermission(user, "payments:read") || order.userId.toString() === user._id.toString();
+
+/*
+ * Mark a payment as paid and move its order to Processing (safe to call twice).
+ * Razorpay sends both order.paid and payment.captured, so a late event may
+ * arrive after a refund: only unpaid payments and orders are ever moved.
+ */
+const markPaymentPaid = async (payment, razorpayPaymentId) => {
+  if (["Created", "Failed"].includes(payment.status)) {
+    payment.status = "Paid";
+    payment.razorpayPaymentId = razorpayPaymentId;
+    payment.paidAt = new Date();
+    payment.failureReason = undefined;
+    await payment.save();
+  }
+
+  const order = await Order.findById(payment.orderId);
+  if (order && ["Unpaid", "Failed"].includes(order.paymentStatus)) {
+    order.paymentStatus = "Paid";
+    order.paidAt = payment.paidAt;
+    if (order.status === "Pending") {
+      changeOrderStatus(order, "Processing", { note: "Payment received" });
+    }
+    await order.save();
+
+    // The order was cancelled before the money came in: send it straight back
+    if (order.status === "Cancelled") {
+      await issueRefund(order, { reason: "Payment received after the order was cancelled" });
+    }
+  }
+  return order;
+};
+
+/* -----------------------------------------
+ * Create a Razorpay order for one of our orders.
+ * The amount always comes from the stored order total.
+ * ----------------------------------------- */
+export const createPaymentOrder = async (req, res) => {
+  try {
+    const { orderId } = req.body || {};
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ error: "A valid orderId is required" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || order.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    if (order.paymentStatus === "Paid") {
+      return res.status(409).json({ error: "Order is already paid" });
+    }
+    if (order.paymentMethod === "COD") {
+      return res.status(409).json({ error: "This order is paid in cash on delivery" });
+    }
+    if (order.status !== "Pending") {
+      return res.status(409).json({ error: `Order cannot be paid while ${order.status}` });
+    }
+
+    const amount = toPaise(order.totalAmount);
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ error: "Order total is invalid" });
+    }
+
+    const rzpOrder = await getPaymentGateway().createOrder({
+      amount,
+      currency: "INR",
+      receipt: order.orderNumber || `order_${order._id}`,
+      notes: { orderId: String(order._id), orderNumber: order.orderNumber || "", userId: String(order.userId) },
+    });
+
+    const payment = await Payment.create({
+      orderId: order._id,
+      userId: order.userId,
+      razorpayOrderId: rzpOrder.id,
+      amount: rzpOrder.amount,
+      currency: rzpOrder.currency,
+    });
+
+    // Respond with the fields the frontend expects
+    res.json({
+      id: rzpOrder.id,
+      amount: rzpOrder.amount,
+      currency: rzpOrder.currency,
+      keyId: process.env.RAZORPAY_KEY_ID,
+      paymentId: payment._id,
+    });
+  } catch (err) {
+    console.error("Create order error:", err && (err.message || err));
+    res.status(500).json({ error: "Failed to create order" });
+  }
+};
+
+/* -----------------------------------------
+ * Verify checkout signature → mark payment and order as paid
+ * ----------------------------------------- */
+export const verifyPayment = async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body || {};
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({ ok: false, error: "Missing required fields: razorpay_order_id, razorpay_payment_id, razorpay_signature" });
+    }
+
+    const payment = await Payment.findOne({ razorpayOrderId: razorpay_order_id, userId: req.user._id });
+    if (!payment) {
+      return res.status(404).json({ ok: false, error: "Payment not found" });
+    }
+
+    if (payment.status === "Paid") {
+      const order = await Order.findById(payment.orderId);
+      return res.json({ ok: true, payment, order });
+    }
+
+    if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      payment.status = "Failed";
+      payment.failureReason = "Invalid signature";
+      await payment.save();
+      return res.status(400).json({ ok: false, error: "Invalid signature" });
+    }
+
+    payment.razorpaySignature = razorpay_signature;
+    const order = await markPaymentPaid(payment, razorpay_payment_id);
+
+    return res.json({ ok: true, payment, order });
+  } catch (err) {
+    console.error("Verify payment error:", err && (err.message || err));
+    res.status(500).json({ ok: false, error: "Verification error" });
+  }
+};
+
+/* -----------------------------------------
+ * Caller's own payments
+ * ----------------------------------------- */
+export const getMyPayments = async (req, res) => {
+  try {
+    const payments = await Payment.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    res.status(200).json({ message: "Payments fetched successfully", payments });
+  } catch (error) {
+    console.error("Error fetching payments:", error);
+    res.status(500).json({ message: "Failed to fetch payments" });
+  }
+};
+
+/* -----------------------------------------
+ * Payments for one order (owner or admin)
+ * ----------------------------------------- */
+export const getPaymentsForOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ message: "Invalid order ID" });
+    }
+    const order = await Order.findById(orderId).select("userId paymentStatus paidAt");
+    if (!order || !canSeeOrder(req.user, order)) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    const payments = await Payment.find({ orderId }).sort({ createdAt: -1 });
+    res.status(200).json({ paymentStatus: order.paymentStatus, paidAt: order.paidAt, payments });
+  } catch (error) {
+    console.error("Error fetching order payments:", error);
+    res.status(500).json({ message: "Failed to fetch payments" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: all payments (pagination + status filter)
+ * ----------------------------------------- */
+export const getAllPayments = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || "1", 10), 1);
+    const limit = Math.max(parseInt(req.query.limit || "10", 10), 1);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const totalPayments = await Payment.countDocuments(filter);
+    const payments = await Payment.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "username email")
+      .populate("orderId", "status totalAmount orderDate");
+
+    res.status(200).json({ payments, totalPayments });
+  } catch (error) {
+    console.error("Error fetching all payments:", error);
+    res.status(500).json({ message: "Error fetching payments" });
+  }
+};
+
+/* -----------------------------------------
+ * Razorpay webhooks
+ * ----------------------------------------- */
+const handlePaymentCaptured = async (payload) => {
+  const entity = payload.payment?.entity;
+  if (!entity?.order_id) return false;
+  const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+  if (!payment) return false;
+  await markPaymentPaid(payment, entity.id);
+  return true;
+};
+
+const handlePaymentFailed = async (payload) => {
+  const entity = payload.payment?.entity;
+  if (!entity?.order_id) return false;
+  const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+  if (!payment) return false;
+  // A late failure event must never undo a successful payment
+  if (payment.status !== "Created") return true;
+
+  payment.status = "Failed";
+  payment.razorpayPaymentId = entity.id;
+  payment.failureReason = entity.error_description || entity.error_code || "Payment failed";
+  await payment.save();
+
+  await Order.updateOne(
+    { _id: payment.orderId, paymentStatus: "Unpaid" },
+    { $set: { paymentStatus: "Failed" } }
+  );
+  return true;
+};
+
+const handleRefundProcessed = async (payload) => {
+  const entity = payload.refund?.entity;
+  if (!entity?.payment_id) return false;
+  const payment = await Payment.findOne({ razorpayPaymentId: entity.payment_id });
+  if (!payment) return false;
+  await applyProcessedRefund(payment, entity.id, Number(entity.amount || 0), { refundId: entity.notes?.refundId });
+  return true;
+};
+
+const WEBHOOK_HANDLERS = {
+  "payment.captured": handlePaymentCaptured,
+  "order.paid": handlePaymentCaptured,
+  "payment.failed": handlePaymentFailed,
+  "refund.processed": handleRefundProcessed,
+};
+
+/*
+ * POST /api/webhooks/razorpay
+ * Needs the raw body (mounted with express.raw) so the signature can be checked
+ * byte-for-byte. Every event ID is recorded once; replays are acknowledged and skipped.
+ */
+export const razorpayWebhook = async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from("");
+  const signature = req.get("x-razorpay-signature");
+
+  if (!signature || !verifyWebhookSignature(rawBody, signature)) {
+    return res.status(400).json({ message: "Invalid webhook signature" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString("utf8"));
+  } catch (parseErr) {
+    return res.status(400).json({ message: "Invalid webhook payload" });
+  }
+
+  const eventId = req.get("x-razorpay-event-id") || body.id;
+  if (!eventId || !body.event) {
+    return res.status(400).json({ message: "Missing event ID or type" });
+  }
+
+  let record;
+  try {
+    record = await WebhookEvent.create({ provider: "razorpay", eventId, event: body.event });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(200).json({ message: "Event already processed" });
+    }
+    console.error("Webhook event record error:", error);
+    return res.status(500).json({ message: "Failed to record webhook event" });
+  }
+
+  try {
+    const handler = WEBHOOK_HANDLERS[body.event];
+    const handled = handler ? await handler(body.payload || {}) : false;
+
+    record.status = handled ? "Processed" : "Ignored";
+    record.processedAt = new Date();
+    await record.save();
+
+    return res.status(200).json({ message: handled ? "Event processed" : "Event ignored" });
+  } catch (error) {
+    console.error("Webhook processing error:", error);
+    // Forget the event so Razorpay's retry gets processed
+    await WebhookEvent.deleteOne({ _id: record._id });
+    return res.status(500).json({ message: "Failed to process webhook event" });
+  }
+};
@@ -1,6 +1,44 @@
 import Product from "../models/ProductModel.js";
+import Cart from "../models/CartModel.js";
+import Order from "../models/OrderModel.js";
+import WishList from "../models/WishListModel.js";
 import mongoose from "mongoose";
 
+// Orders whose lines still point at the variant they were bought as
+const OPEN_ORDER_STATUSES = ["Pending", "Processing", "Shipped"];
+
+/*
+ * Merge the variants sent with a product update into the stored ones. Incoming
+ * variants are matched by _id, then by sku, and updated in place so their _id
+ * (saved on cart, wishlist and order lines) never changes; unmatched ones are
+ * added. Returns { variants, removedIds } or { error }.
+ */
+const mergeVariants = (existing, incoming) => {
+    if (!Array.isArray(incoming)) return { error: "variants must be an array" };
+
+    const used = new Set();
+    const variants = [];
+    for (const input of incoming) {
+        if (!input || typeof input !== "object") return { error: "Each variant must be an object" };
+
+        let match = null;
+        if (input._id) {
+            match = existing.find((v) => String(v._id) === String(input._id));
+            if (!match) return { error: `Unknown variant ID ${input._id}` };
+        } else if (input.sku) {
+            match = existing.find((v) => v.sku === String(input.sku).trim());
+        }
+        if (match && used.has(String(match._id))) return { error: `Variant ${match.sku} is listed twice` };
+        if (match) used.add(String(match._id));
+
+        const { _id, ...fields } = input;
+        variants.push(match ? { ...match.toObject(), ...fields, _id: match._id } : fields);
+    }
+
+    const removedIds = existing.filter((v) => !used.has(String(v._id))).map((v) => v._id);
+    return { variants, removedIds };
+};
+
 export const createProduct = async (req,res) => {
     try {
             const product = await Product.create(req.body);
@@ -15,11 +53,28 @@ export const createProduct = async (req,res) => {
         }
 }
 
+const VARIANT_ATTRIBUTE_RE = /^[A-Za-z0-9_]+$/;
+
 export const getProducts = async (req, res) => {
     try {
-      const { category, subCategory, minPrice, maxPrice } = req.query;
+      const { category, subCategory, minPrice, maxPrice, inStock } = req.query;
       const filter = {};
 
+      // Variant attribute filters come in as ?variant.size=M&variant.color=red
+      const variantMatch = {};
+      const attributes = Object.keys(req.query)
+        .filter((key) => key.startsWith('variant.'))
+        .map((key) => key.slice('variant.'.length));
+      // Attribute names become part of a Mongo path, so no dots, $ or other specials
+      const badAttribute = attributes.find((attribute) => !VARIANT_ATTRIBUTE_RE.test(attribute));
+      if (badAttribute !== undefined) {
+        return res.status(400).json({ message: `Invalid variant attribute "${badAttribute}"` });
+      }
+      attributes.forEach((attribute) => {
+        const value = String(req.query[`variant.${attribute}`]).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        variantMatch[`attributes.${attribute}`] = new RegExp(`^${value}$`, 'i');
+      });
+
       if (subCategory && !category) {
         return res.status(400).json({
           message: 'Filtering by subCategory requires a "category" query parameter to be specified.',
@@ -36,14 +91,33 @@ export const getProducts = async (req, res) => {
       }
   
       if (minPrice || maxPrice) {
-        filter.newPrice = {};
-  
+        const priceRange = {};
+
         if (minPrice) {
-          filter.newPrice.$gte = parseFloat(minPrice);
+          priceRange.$gte = parseFloat(minPrice);
         }
         if (maxPrice) {
-          filter.newPrice.$lte = parseFloat(maxPrice);
+          priceRange.$lte = parseFloat(maxPrice);
         }
+
+        if (Object.keys(variantMatch).length > 0) {
+          variantMatch.price = priceRange;
+        } else {
+          filter.$or = [{ newPrice: priceRange }, { 'variants.price': priceRange }];
+        }
+      }
+
+      if (inStock === 'true') {
+        if (Object.keys(variantMatch).length > 0) {
+          variantMatch.stock = { $gt: 0 };
+        } else {
+          filter.$and = [{ $or: [{ stock: { $gt: 0 } }, { 'variants.stock': { $gt: 0 } }] }];
+        }
+      }
+
+      // All variant conditions must hold for the same SKU
+      if (Object.keys(variantMatch).length > 0) {
+        filter.variants = { $elemMatch: variantMatch };
       }
   
       const products = await Product.find(filter);
@@ -92,7 +166,33 @@ export const updateProduct = async (req, res) => {
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid product ID format" });
         }
-        const { title, category, color, prevPrice, newPrice, img, subCategory, company } = req.body;
+        const { title, category, color, prevPrice, newPrice, img, subCategory, company, stock, hsnCode, gstRate } = req.body;
+
+        let variants;
+        if (req.body.variants !== undefined) {
+            const current = await Product.findById(id).select("variants");
+            if (!current) {
+                return res.status(404).json({ message: "Product not found for the given ID" });
+            }
+            const merged = mergeVariants(current.variants, req.body.variants);
+            if (merged.error) return res.status(400).json({ message: merged.error });
+
+            // A variant still sitting in a cart or an open order can't be removed
+            if (merged.removedIds.length > 0) {
+                const inUse = { variantId: { $in: merged.removedIds } };
+                const [inCart, inOrder] = await Promise.all([
+                    Cart.exists({ items: { $elemMatch: inUse } }),
+                    Order.exists({ status: { $in: OPEN_ORDER_STATUSES }, items: { $elemMatch: inUse } }),
+                ]);
+                if (inCart || inOrder) {
+                    return res.status(409).json({
+                        message: "Variants in customers' carts or open orders can't be removed",
+                        variantIds: merged.removedIds,
+                    });
+                }
+            }
+            variants = merged.variants;
+        }
 
         // Find the product by ID and update it
         const updatedProduct = await Product.findByIdAndUpdate(
@@ -106,6 +206,10 @@ export const updateProduct = async (req, res) => {
                 img,
                 subCategory,
                 company,
+                stock,
+                variants,
+                hsnCode,
+                gstRate,
             },
             { new: true, runValidators: true } // Return the updated document and validate the fields
         );
@@ -113,6 +217,13 @@ export const updateProduct = async (req, res) => {
         if (!updatedProduct) {
             return res.status(404).json({ message: "Product not found for the given ID" });
         }
+        if (variants) {
+            // Wishlists just forget a removed variant choice
+            await WishList.updateMany(
+                { "selectedVariants.productId": updatedProduct._id },
+                { $pull: { selectedVariants: { productId: updatedProduct._id, variantId: { $nin: updatedProduct.variants.map((v) => v._id) } } } }
+            );
+        }
 
         console.log("Product updated successfully");
         res.status(200).json({ message: "Product updated successfully", product: updatedProduct });
@@ -133,7 +244,8 @@ export const searchProducts = async (req,res) => {
             $or: [
                 {title: { $regex: new RegExp(lowerCaseQuery,'i')}},
                 {category: { $regex: new RegExp(lowerCaseQuery, 'i')}},
-                {subCategory: { $exists: true, $regex: new RegExp(lowerCaseQuery,'i')}}
+                {subCategory: { $exists: true, $regex: new RegExp(lowerCaseQuery,'i')}},
+                {'variants.sku': { $regex: new RegExp(lowerCaseQuery,'i')}}
             ]
         });
             res.status(200).json(products);
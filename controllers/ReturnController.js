@@ -0,0 +1,345 @@
+// controllers/ReturnController.js
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import User from "../models/UserModel.js";
+import ReturnRequest, { RETURN_REASON_CODES } from "../models/ReturnRequestModel.js";
+import { sendMail } from "../utils/MailSender.js";
+import { releaseStock } from "../utils/Inventory.js";
+import { issueRefund } from "../utils/Refunds.js";
+import { changeOrderStatus, activeItems } from "../utils/OrderStatus.js";
+import { orderRef } from "../utils/OrderNumber.js";
+import { hasPermission } from "../utils/Permissions.js";
+
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 30);
+const OPEN_RETURN_STATUSES = ["Requested", "Approved", "Pickup Scheduled"];
+
+// Delivery date for the return window; older orders only have it in their history
+const deliveredAtFor = (order) => {
+  if (order.deliveredAt) return order.deliveredAt;
+  const entry = [...(order.statusHistory || [])].reverse().find((h) => h.status === "Delivered");
+  return entry ? entry.changedAt : null;
+};
+
+const recordReturnStatus = (rma, status, { user, note } = {}) => {
+  rma.status = status;
+  rma.history.push({ status, note, changedBy: user ? user._id : undefined, changedAt: new Date() });
+};
+
+const sendReturnEmail = async (rma, subject, message) => {
+  try {
+    const user = await User.findById(rma.userId).select("email username");
+    if (!user) return;
+    const order = await Order.findById(rma.orderId).select("orderNumber");
+    const orderNo = order ? orderRef(order) : rma.orderId;
+    const itemsText = rma.items.map((it) => `${it.title} — Qty: ${it.quantity}`).join("\n");
+    const text = `Hi ${user.username || "Customer"},\n\n${message}\n\nReturn ID: ${rma._id}\nOrder No: ${orderNo}\n\nItems:\n${itemsText}\n\nThank you.`;
+    const html = `
+        <div style="font-family:Arial,sans-serif;color:#222">
+          <p>Hi ${user.username || "Customer"},</p>
+          <p>${message}</p>
+          <p><strong>Return ID:</strong> ${rma._id}<br/><strong>Order No:</strong> ${orderNo}</p>
+          <ul>${rma.items.map((it) => `<li>${it.title} — Qty: ${it.quantity}</li>`).join("")}</ul>
+          <hr/>
+          <p style="color:#666">E-Commerce Team</p>
+        </div>
+      `;
+    await sendMail({ to: user.email, subject, text, html });
+  } catch (mailErr) {
+    console.error("Failed to send return email:", mailErr);
+  }
+};
+
+// Once no return on the order is open, move the order out of "Return Requested"
+const settleOrderAfterReturn = async (order, user) => {
+  const stillOpen = await ReturnRequest.exists({ orderId: order._id, status: { $in: OPEN_RETURN_STATUSES } });
+  if (stillOpen || order.status !== "Return Requested") return;
+
+  const returned = (it) => ["Returned", "Returned & Refunded"].includes(it.returnStatus);
+  const allReturned = activeItems(order).every(returned);
+  const anyReturned = order.items.some(returned);
+  // Stays "Returned" until the refund goes out (see markReturnRefunded)
+  const allRefunded = activeItems(order).every((it) => it.returnStatus === "Returned & Refunded");
+  const next = allReturned ? (allRefunded ? "Returned & Refunded" : "Returned") : "Delivered";
+  const note = allReturned
+    ? allRefunded ? "All items returned" : "All items returned, refund pending"
+    : anyReturned ? "Partial return completed" : "Return closed";
+  changeOrderStatus(order, next, { user, note });
+};
+
+const loadReturnForAdmin = async (req, res) => {
+  const { returnId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(returnId)) {
+    res.status(400).json({ message: "Invalid return ID" });
+    return null;
+  }
+  const rma = await ReturnRequest.findById(returnId);
+  if (!rma) {
+    res.status(404).json({ message: "Return request not found" });
+    return null;
+  }
+  return rma;
+};
+
+/* -----------------------------------------
+ * Customer: request a return for some (or all) lines of a delivered order
+ * body: { items?: [orderItemId], reasonCode, comments?, photos? }
+ * ----------------------------------------- */
+export const createReturnRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items, comments, photos } = req.body || {};
+    const reasonCode = req.body?.reasonCode || (req.body?.reason ? "OTHER" : undefined);
+
+    if (!RETURN_REASON_CODES.includes(reasonCode)) {
+      return res.status(400).json({ message: "A valid reasonCode is required", allowed: RETURN_REASON_CODES });
+    }
+    if (photos != null && (!Array.isArray(photos) || photos.some((p) => typeof p !== "string"))) {
+      return res.status(400).json({ message: "photos must be an array of image URLs" });
+    }
+
+    const order = await Order.findById(id);
+    if (!order || order.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (!["Delivered", "Return Requested"].includes(order.status)) {
+      return res.status(409).json({ message: "Only delivered orders can be returned" });
+    }
+
+    const deliveredAt = deliveredAtFor(order);
+    const windowEnds = deliveredAt ? new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) : null;
+    if (!windowEnds || Date.now() > windowEnds.getTime()) {
+      return res.status(409).json({ message: `The ${RETURN_WINDOW_DAYS}-day return window for this order has closed` });
+    }
+
+    const returnable = order.items.filter(
+      (it) => it.status === "Delivered" && (!it.returnStatus || it.returnStatus === "Return Rejected")
+    );
+    const selected = Array.isArray(items) && items.length > 0
+      ? returnable.filter((it) => items.map(String).includes(it._id.toString()))
+      : returnable;
+
+    if (selected.length === 0 || (Array.isArray(items) && items.length > 0 && selected.length !== items.length)) {
+      return res.status(400).json({ message: "Some items can't be returned (not in this order or already returned)" });
+    }
+
+    selected.forEach((it) => {
+      it.returnStatus = "Return Requested";
+    });
+    if (order.status === "Delivered") {
+      changeOrderStatus(order, "Return Requested", { user: req.user, note: comments || reasonCode });
+    }
+    await order.save();
+
+    const rma = await ReturnRequest.create({
+      orderId: order._id,
+      userId: order.userId,
+      items: selected.map((it) => ({
+        orderItemId: it._id,
+        productId: it.productId,
+        variantId: it.variantId,
+        title: it.title,
+        quantity: it.quantity,
+        price: it.price,
+      })),
+      reasonCode,
+      comments: comments || req.body?.reason,
+      photos: photos || [],
+      history: [{ status: "Requested", note: comments, changedBy: req.user._id }],
+    });
+
+    await sendReturnEmail(rma, "Return Request Received", "We've received your return request. Our team will review it and get back to you with the next steps.");
+
+    res.status(201).json({ message: "Return requested", returnRequest: rma, order });
+  } catch (error) {
+    console.error("Request return error:", error);
+    res.status(500).json({ message: "Failed to request return" });
+  }
+};
+
+/* -----------------------------------------
+ * Returns for one order (owner or admin)
+ * ----------------------------------------- */
+export const getOrderReturns = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const order = await Order.findById(id).select("userId");
+    if (!order || (!hasPermission(req.user, "returns:read") && order.userId.toString() !== req.user._id.toString())) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    const returns = await ReturnRequest.find({ orderId: id }).sort({ createdAt: -1 });
+    res.status(200).json({ returns });
+  } catch (error) {
+    console.error("Get returns error:", error);
+    res.status(500).json({ message: "Failed to get returns" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: list return requests
+ * ----------------------------------------- */
+export const getAllReturns = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || "1", 10), 1);
+    const limit = Math.max(parseInt(req.query.limit || "10", 10), 1);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const totalReturns = await ReturnRequest.countDocuments(filter);
+    const returns = await ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "username email");
+
+    res.status(200).json({ returns, totalReturns });
+  } catch (error) {
+    console.error("Error fetching returns:", error);
+    res.status(500).json({ message: "Error fetching returns" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: approve a return
+ * ----------------------------------------- */
+export const approveReturn = async (req, res) => {
+  try {
+    const rma = await loadReturnForAdmin(req, res);
+    if (!rma) return;
+    if (rma.status !== "Requested") {
+      return res.status(409).json({ message: `Return is already ${rma.status}` });
+    }
+
+    recordReturnStatus(rma, "Approved", { user: req.user, note: req.body?.note });
+    rma.reviewedBy = req.user._id;
+    rma.adminNote = req.body?.note || rma.adminNote;
+    await rma.save();
+
+    await sendReturnEmail(rma, "Return Approved", "Your return has been approved. We'll let you know once the pickup is scheduled.");
+    res.status(200).json({ message: "Return approved", returnRequest: rma });
+  } catch (error) {
+    console.error("Approve return error:", error);
+    res.status(500).json({ message: "Failed to approve return" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: reject a return
+ * ----------------------------------------- */
+export const rejectReturn = async (req, res) => {
+  try {
+    const rma = await loadReturnForAdmin(req, res);
+    if (!rma) return;
+    if (!["Requested", "Approved"].includes(rma.status)) {
+      return res.status(409).json({ message: `Return is already ${rma.status}` });
+    }
+    const note = req.body?.note;
+    if (!note) {
+      return res.status(400).json({ message: "A note explaining the rejection is required" });
+    }
+
+    recordReturnStatus(rma, "Rejected", { user: req.user, note });
+    rma.reviewedBy = req.user._id;
+    rma.adminNote = note;
+    await rma.save();
+
+    const order = await Order.findById(rma.orderId);
+    if (order) {
+      const lineIds = rma.items.map((it) => it.orderItemId.toString());
+      order.items.forEach((it) => {
+        if (lineIds.includes(it._id.toString())) it.returnStatus = "Return Rejected";
+      });
+      await settleOrderAfterReturn(order, req.user);
+      await order.save();
+    }
+
+    await sendReturnEmail(rma, "Return Request Rejected", `Unfortunately your return request was not approved. Reason: ${note}`);
+    res.status(200).json({ message: "Return rejected", returnRequest: rma });
+  } catch (error) {
+    console.error("Reject return error:", error);
+    res.status(500).json({ message: "Failed to reject return" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: schedule the pickup for an approved return
+ * body: { pickupDate, slot?, note? }
+ * ----------------------------------------- */
+export const scheduleReturnPickup = async (req, res) => {
+  try {
+    const rma = await loadReturnForAdmin(req, res);
+    if (!rma) return;
+    if (!["Approved", "Pickup Scheduled"].includes(rma.status)) {
+      return res.status(409).json({ message: "Only approved returns can be scheduled for pickup" });
+    }
+
+    const pickupDate = new Date(req.body?.pickupDate);
+    if (!req.body?.pickupDate || isNaN(pickupDate.getTime())) {
+      return res.status(400).json({ message: "A valid pickupDate is required" });
+    }
+
+    rma.pickup = { scheduledFor: pickupDate, slot: req.body?.slot };
+    recordReturnStatus(rma, "Pickup Scheduled", { user: req.user, note: req.body?.note });
+    await rma.save();
+
+    const when = `${pickupDate.toLocaleDateString("en-IN")}${rma.pickup.slot ? ` (${rma.pickup.slot})` : ""}`;
+    await sendReturnEmail(rma, "Return Pickup Scheduled", `Your return pickup is scheduled for ${when}. Please keep the items packed and ready.`);
+    res.status(200).json({ message: "Pickup scheduled", returnRequest: rma });
+  } catch (error) {
+    console.error("Schedule pickup error:", error);
+    res.status(500).json({ message: "Failed to schedule pickup" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: items received → restock, refund and close the return
+ * ----------------------------------------- */
+export const completeReturn = async (req, res) => {
+  try {
+    const rma = await loadReturnForAdmin(req, res);
+    if (!rma) return;
+    if (!["Approved", "Pickup Scheduled"].includes(rma.status)) {
+      return res.status(409).json({ message: "Only approved returns can be completed" });
+    }
+
+    const order = await Order.findById(rma.orderId);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    recordReturnStatus(rma, "Completed", { user: req.user, note: req.body?.note });
+    await rma.save();
+
+    await releaseStock(rma.items);
+    // null for unpaid and COD orders, or when nothing is left to refund
+    const refund = await issueRefund(order, {
+      amount: rma.items.reduce((sum, it) => sum + it.price * it.quantity, 0),
+      reason: `Return ${rma._id} (${rma.reasonCode})`,
+      items: rma.items,
+      initiatedBy: req.user._id,
+    });
+    if (refund) {
+      rma.refundId = refund._id;
+      await rma.save();
+    }
+    const refunded = Boolean(refund) && refund.status !== "Failed";
+
+    const lineIds = rma.items.map((it) => it.orderItemId.toString());
+    order.items.forEach((it) => {
+      if (lineIds.includes(it._id.toString())) it.returnStatus = refunded ? "Returned & Refunded" : "Returned";
+    });
+
+    await settleOrderAfterReturn(order, req.user);
+    await order.save();
+
+    // Collected COD cash is paid back by hand (see recordCodRefund)
+    const cashToRefund = order.paymentMethod === "COD" && ["Paid", "Partially Refunded"].includes(order.paymentStatus);
+    const message = refunded
+      ? "We've received your returned items and your refund has been initiated."
+      : refund || cashToRefund
+        ? "We've received your returned items. Our team will contact you about your refund."
+        : "We've received your returned items.";
+    await sendReturnEmail(rma, "Return Completed", message);
+    res.status(200).json({ message: "Return completed", returnRequest: rma, refund, order });
+  } catch (error) {
+    console.error("Complete return error:", error);
+    res.status(500).json({ message: "Failed to complete return" });
+  }
+};
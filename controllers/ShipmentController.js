@@ -0,0 +1,180 @@
+// controllers/ShipmentController.js
+import Order from "../models/OrderModel.js";
+import { getCarrier } from "../utils/Carriers.js";
+import { hasPermission } from "../utils/Permissions.js";
+import { sendDeliveryOtpEmail } from "../utils/DeliveryOtp.js";
+import {
+  createShipment,
+  buildTrackingView,
+  applyTrackingUpdate,
+  syncOrderShipments,
+  sendDeliveredEmail,
+} from "../utils/Shipments.js";
+
+/* -----------------------------------------
+ * Shipment tracking for an order (owner or admin)
+ * ----------------------------------------- */
+export const getOrderTracking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const order = await Order.findById(id).select("userId status items shipments");
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    if (!hasPermission(req.user, "orders:read") && order.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.status(200).json({
+      status: order.status,
+      shipments: buildTrackingView(order),
+      unshippedItems: order.items
+        .filter((it) => ["Pending", "Processing"].includes(it.status))
+        .map((it) => ({ orderItemId: it._id.toString(), title: it.title, quantity: it.quantity })),
+    });
+  } catch (error) {
+    console.error("Get tracking error:", error);
+    res.status(500).json({ message: "Failed to get tracking" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: ship some (or all) of an order's lines as one package
+ * body: { items?: [orderItemId], carrier, trackingNumber, trackingUrl?, estimatedDeliveryDate?, note? }
+ * ----------------------------------------- */
+export const createOrderShipment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items, note, ...details } = req.body || {};
+    if (items != null && !Array.isArray(items)) {
+      return res.status(400).json({ message: "items must be an array of order item IDs" });
+    }
+
+    const order = await Order.findById(id).populate("userId", "email username");
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const shipped = await createShipment(order, details, { itemIds: items || [], user: req.user, note });
+    if (shipped.error) return res.status(shipped.status).json({ message: shipped.error });
+    await order.save();
+
+    try {
+      await sendDeliveryOtpEmail(order, order.userId, shipped.otp);
+    } catch (mailErr) {
+      console.error("Failed to send delivery OTP email:", mailErr);
+    }
+
+    res.status(201).json({
+      message: "Shipment created. OTP sent to user.",
+      status: order.status,
+      shipment: buildTrackingView(order).find((view) => view.shipmentId === shipped.shipment._id.toString()),
+    });
+  } catch (error) {
+    console.error("Create shipment error:", error);
+    res.status(500).json({ message: "Failed to create shipment" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: edit shipment details (carrier, AWB, tracking URL, ETA)
+ * ----------------------------------------- */
+export const updateShipment = async (req, res) => {
+  try {
+    const { id, shipmentId } = req.params;
+    const { carrier, trackingNumber, trackingUrl, estimatedDeliveryDate } = req.body || {};
+
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    const shipment = order.shipments.id(shipmentId);
+    if (!shipment) return res.status(404).json({ message: "Shipment not found" });
+
+    if (estimatedDeliveryDate != null && isNaN(new Date(estimatedDeliveryDate).getTime())) {
+      return res.status(400).json({ message: "estimatedDeliveryDate must be a valid date" });
+    }
+
+    if (typeof carrier === "string" && carrier.trim()) shipment.carrier = carrier.trim();
+    if (typeof trackingNumber === "string" && trackingNumber.trim()) {
+      shipment.trackingNumber = trackingNumber.trim();
+    }
+    if (trackingUrl !== undefined) {
+      shipment.trackingUrl = trackingUrl || undefined;
+    } else if (carrier || trackingNumber) {
+      shipment.trackingUrl = getCarrier(shipment.carrier)?.trackingUrl?.(shipment.trackingNumber);
+    }
+    if (estimatedDeliveryDate != null) shipment.estimatedDeliveryDate = new Date(estimatedDeliveryDate);
+
+    await order.save();
+    res.status(200).json({
+      message: "Shipment updated",
+      shipment: buildTrackingView(order).find((view) => view.shipmentId === shipment._id.toString()),
+    });
+  } catch (error) {
+    console.error("Update shipment error:", error);
+    res.status(500).json({ message: "Failed to update shipment" });
+  }
+};
+
+/* -----------------------------------------
+ * Admin: poll the carriers for every package in transit now
+ * ----------------------------------------- */
+export const syncOrderShipment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    if (!order.shipments.some((shipment) => shipment.status === "In Transit")) {
+      return res.status(409).json({ message: "No package is in transit for this order" });
+    }
+
+    const { tracked, delivered } = await syncOrderShipments(order);
+    if (tracked === 0) {
+      return res.status(422).json({ message: "None of this order's carriers has a tracking integration" });
+    }
+
+    res.status(200).json({
+      message: delivered > 0 ? `Carrier reports ${delivered} package(s) delivered.` : "Tracking updated",
+      status: order.status,
+      shipments: buildTrackingView(order),
+    });
+  } catch (error) {
+    console.error("Sync shipment error:", error);
+    res.status(500).json({ message: "Failed to sync shipment" });
+  }
+};
+
+/* -----------------------------------------
+ * Carrier webhook: pushed tracking updates
+ * ----------------------------------------- */
+export const carrierWebhook = async (req, res) => {
+  try {
+    const adapter = getCarrier(req.params.carrier);
+    if (!adapter?.parseWebhook) {
+      return res.status(404).json({ message: "Unknown carrier" });
+    }
+
+    const update = adapter.parseWebhook(req);
+    if (!update) {
+      return res.status(400).json({ message: "Invalid tracking update" });
+    }
+
+    const order = await Order.findOne({
+      shipments: {
+        $elemMatch: {
+          carrier: new RegExp(`^${adapter.name}$`, "i"),
+          trackingNumber: update.trackingNumber,
+        },
+      },
+    });
+    const shipment = order?.shipments.find(
+      (sh) => sh.carrier.toLowerCase() === adapter.name && sh.trackingNumber === update.trackingNumber
+    );
+    // Acknowledge updates for shipments we don't know so the carrier stops retrying
+    if (!shipment) return res.status(200).json({ status: "ignored" });
+
+    const delivered = applyTrackingUpdate(order, shipment, update);
+    await order.save();
+    if (delivered) await sendDeliveredEmail(order, shipment);
+
+    res.status(200).json({ status: "ok" });
+  } catch (error) {
+    console.error("Carrier webhook error:", error);
+    res.status(500).json({ message: "Failed to process tracking update" });
+  }
+};
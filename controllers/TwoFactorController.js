@@ -0,0 +1,182 @@
+// controllers/TwoFactorController.js
+import bcrypt from "bcrypt";
+import QRCode from "qrcode";
+import User from "../models/UserModel.js";
+import { sendMail } from "../utils/MailSender.js";
+import { requiresTwoFactor } from "../utils/Permissions.js";
+import { revokeAllSessions } from "../utils/AuthSessions.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} from "../utils/TwoFactor.js";
+
+const sendTwoFactorNotice = async (user, enabled) => {
+  try {
+    const change = enabled ? "turned on" : "turned off";
+    await sendMail({
+      to: user.email,
+      subject: `Two-factor authentication ${change}`,
+      text: `Hi ${user.username || "there"},\n\nTwo-factor authentication was ${change} for your account.\n\nIf this wasn't you, reset your password right away and contact support.`,
+      html: `
+        <div style="font-family:Arial,sans-serif;color:#222">
+          <p>Hi ${user.username || "there"},</p>
+          <p>Two-factor authentication was <strong>${change}</strong> for your account.</p>
+          <p>If this wasn't you, reset your password right away and contact support.</p>
+          <hr/>
+          <p style="color:#666">E-Commerce Team</p>
+        </div>
+      `,
+    });
+  } catch (mailErr) {
+    console.error("Failed to send two-factor notice email:", mailErr);
+  }
+};
+
+// ================== STATUS ==================
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    return res.status(200).json({
+      enabled: user.twoFactorEnabled,
+      required: requiresTwoFactor(user),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: user.twoFactorEnabled ? user.twoFactor.recoveryCodeHashes.length : 0,
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    return res.status(500).json({ message: "Error fetching two-factor status" });
+  }
+};
+
+// ================== ENROL: STEP 1 ==================
+// New secret for the authenticator app; nothing changes until it is confirmed
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor = { pendingSecret: encryptSecret(secret) };
+    await user.save();
+
+    const uri = otpauthUri(user, secret);
+    return res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUri: uri,
+      qrCode: await QRCode.toDataURL(uri),
+    });
+  } catch (error) {
+    console.error("Error setting up two-factor:", error);
+    return res.status(500).json({ message: "Error setting up two-factor authentication" });
+  }
+};
+
+// ================== ENROL: STEP 2 ==================
+// body: { code } — turns 2FA on and returns the recovery codes (shown only once)
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findById(req.user._id).select("+twoFactor");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) return res.status(400).json({ message: "Invalid authentication code" });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      secret: encryptSecret(secret),
+      recoveryCodeHashes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date(),
+    };
+    user.twoFactorEnabled = true;
+    await user.save();
+    // Sessions opened with just the password would otherwise gain staff permissions
+    await revokeAllSessions(user._id, "two_factor_enabled", { except: req.authSession._id });
+    await sendTwoFactorNotice(user, true);
+
+    return res.status(200).json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("Error enabling two-factor:", error);
+    return res.status(500).json({ message: "Error enabling two-factor authentication" });
+  }
+};
+
+// ================== DISABLE ==================
+// body: { password } — not available to staff, for whom 2FA is mandatory
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (typeof password !== "string" || !password) {
+      return res.status(400).json({ message: "Your current password is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.twoFactorEnabled) {
+      return res.status(409).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (requiresTwoFactor(user)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for staff accounts" });
+    }
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactor = undefined;
+    await user.save();
+    await sendTwoFactorNotice(user, false);
+
+    return res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor:", error);
+    return res.status(500).json({ message: "Error disabling two-factor authentication" });
+  }
+};
+
+// ================== RECOVERY CODES ==================
+// body: { code } — replaces every recovery code with a new set
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findById(req.user._id).select("+twoFactor");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.twoFactorEnabled) {
+      return res.status(409).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, { lastUsedStep: user.twoFactor.lastUsedStep });
+    if (step === null) return res.status(400).json({ message: "Invalid authentication code" });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodeHashes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    return res.status(200).json({ message: "New recovery codes generated", recoveryCodes: codes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    return res.status(500).json({ message: "Error regenerating recovery codes" });
+  }
+};
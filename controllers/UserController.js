@@ -1,9 +1,48 @@
 // controllers/UserController.js
+import mongoose from "mongoose";
 import User from "../models/UserModel.js";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import { sendMail } from "../utils/MailSender.js";
+import {
+  createAuthSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/AuthSessions.js";
+import {
+  MAX_EMAIL_OTP_ATTEMPTS,
+  issueEmailVerification,
+  sendVerificationEmail,
+  checkEmailVerification,
+  verificationResendWait,
+} from "../utils/EmailVerification.js";
+import { passwordPolicyErrors } from "../utils/PasswordPolicy.js";
+import {
+  loginRetryAfter,
+  recordLoginFailure,
+  clearAccountFailures,
+  unlockWithToken,
+  listActiveLoginLocks,
+  clearLoginLock,
+} from "../utils/LoginThrottle.js";
+import {
+  ROLES,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  permissionsFor,
+  hasPermission,
+  requiresTwoFactor,
+} from "../utils/Permissions.js";
+import {
+  verifyTotp,
+  decryptSecret,
+  consumeRecoveryCode,
+  signLoginChallenge,
+  verifyLoginChallenge,
+} from "../utils/TwoFactor.js";
+import { isLastActiveAdmin } from "./AdminUserController.js";
 
 dotenv.config();
 
@@ -16,17 +55,11 @@ const requireEnv = (k) => {
 
 requireEnv("JWT_SECRET");
 
-const generateToken = (user) => {
-  const payload = {
-    user: {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      userName: user.username,
-    },
-  };
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" });
-};
+// Compared against for unknown emails so they take as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+// Same reply for unknown emails and wrong passwords so accounts can't be enumerated
+const INVALID_LOGIN_MESSAGE = "Invalid email or password";
 
 //CREATE USER
 export const createUser = async (req, res) => {
@@ -42,6 +75,11 @@ export const createUser = async (req, res) => {
       return res.status(400).json({ message: "Username, email and password are required" });
     }
 
+    const passwordErrors = passwordPolicyErrors(password, { username, email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
     // Check conflicts
     const [usernameExists, emailExists] = await Promise.all([
       User.findOne({ username }),
@@ -59,37 +97,36 @@ export const createUser = async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Create user
-    const newUser = await User.create({
+    // Create user; the account can't place orders until the email is verified
+    const newUser = new User({
       username,
       email,
       password: hashedPassword,
       role: "user",
     });
+    const otp = await issueEmailVerification(newUser);
+    await newUser.save();
 
     (async () => {
       try {
-        await sendMail({
-          to: email,
-          subject: "Welcome to Our E-Commerce Service",
-          text: `Hello ${username},\n\nThank you for signing up! We're excited to have you.\n\nBest regards,\nYour Team`,
-          html: `<p>Hello <b>${username}</b>,</p><p>Thank you for signing up! We're excited to have you.</p><p>Best regards,<br/>Your Team</p>`,
-        });
+        await sendVerificationEmail(newUser, otp);
       } catch (mailErr) {
-        console.error("[Mail] Welcome email failed:", mailErr?.message || mailErr);
+        console.error("[Mail] Verification email failed:", mailErr?.message || mailErr);
       }
     })();
 
-    // Token
-    const token = generateToken(newUser);
+    // Tokens
+    const { accessToken, refreshToken } = await createAuthSession(newUser, req);
 
     return res.status(201).json({
       message: "User created successfully",
-      token,
+      token: accessToken,
+      refreshToken,
       userId: newUser._id,
       role: newUser.role,
       userName: newUser.username,
       email: newUser.email,
+      emailVerified: newUser.emailVerified,
     });
   } catch (error) {
     console.error("Error creating user:", error);
@@ -98,16 +135,34 @@ export const createUser = async (req, res) => {
 };
 
 
-export const getUsers = async (req, res) => {
-  try {
-    const users = await User.find().select("-password");
-    return res
-      .status(200)
-      .json({ message: "Users data fetched successfully", users });
-  } catch (error) {
-    console.error("Error getting users data:", error);
-    return res.status(500).json({ message: "Error getting users data" });
-  }
+// Why an account with the right password still can't sign in, or null
+const loginBlockedReason = (user) => {
+  if (user.suspended) return "Your account has been suspended. Please contact support.";
+  if (user.passwordResetRequired) return "You need to reset your password before signing in. Use \"Forgot password\" to set a new one.";
+  return null;
+};
+
+// Start a session and reply with the tokens and what the client needs to route the user
+const sendLoginSuccess = async (req, res, user, extra = {}) => {
+  const { accessToken, refreshToken } = await createAuthSession(user, req);
+  // Every back-office role lands in the admin panel; what it shows depends on permissions
+  const redirectedPath = STAFF_ROLES.includes(user.role) ? "admin" : "user";
+
+  return res.status(200).json({
+    message: "Login successful",
+    token: accessToken,
+    refreshToken,
+    userId: user._id,
+    redirectedPath,
+    role: user.role,
+    permissions: permissionsFor(user.role).filter((permission) => hasPermission(user, permission)),
+    // Staff must enrol before their permissions apply
+    twoFactorSetupRequired: requiresTwoFactor(user) && !user.twoFactorEnabled,
+    userName: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    ...extra,
+  });
 };
 
 // ================== LOGIN ==================
@@ -121,30 +176,307 @@ export const loginUser = async (req, res) => {
       return res.status(400).json({ message: "Email and password are required" });
     }
 
+    const retryAfter = await loginRetryAfter(email, req.ip);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message: "Too many failed login attempts. Please try again later.", retryAfter });
+    }
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ message: "User not found" });
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordValid) {
+      await recordLoginFailure(email, req.ip, user);
+      return res.status(401).json({ message: INVALID_LOGIN_MESSAGE });
+    }
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) return res.status(401).json({ message: "Invalid credentials" });
+    // Only revealed once the password is right, so it says nothing about unknown emails
+    const blocked = loginBlockedReason(user);
+    if (blocked) return res.status(403).json({ message: blocked });
+
+    // Second step: the session is only created once the authenticator code checks out
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: signLoginChallenge(user),
+      });
+    }
 
-    const token = generateToken(user);
-    const redirectedPath = user.role === "admin" ? "admin" : "user";
+    await clearAccountFailures(email);
+    return await sendLoginSuccess(req, res, user);
+  } catch (error) {
+    console.error("Error logging in:", error);
+    return res.status(500).json({ message: "Error logging in" });
+  }
+};
 
-    return res.status(200).json({
-      message: "Login successful",
-      token,
-      userId: user._id,
-      redirectedPath,
-      role: user.role,
-      userName: user.username,
-      email: user.email,
+// ================== LOGIN: 2FA STEP ==================
+// body: { challengeToken, code } or { challengeToken, recoveryCode }
+export const loginWithTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    const userId = verifyLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: "Login session expired, please sign in again" });
+    }
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: "code or recoveryCode is required" });
+    }
+
+    const user = await User.findById(userId).select("+twoFactor");
+    if (!user || !user.twoFactorEnabled || !user.twoFactor?.secret) {
+      return res.status(401).json({ message: "Login session expired, please sign in again" });
+    }
+    const blocked = loginBlockedReason(user);
+    if (blocked) return res.status(403).json({ message: blocked });
+
+    const retryAfter = await loginRetryAfter(user.email, req.ip);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message: "Too many failed login attempts. Please try again later.", retryAfter });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    let verified = false;
+    if (code) {
+      const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, { lastUsedStep: user.twoFactor.lastUsedStep });
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        verified = true;
+      }
+    } else {
+      verified = consumeRecoveryCode(user.twoFactor, recoveryCode);
+    }
+    if (!verified) {
+      await recordLoginFailure(user.email, req.ip, user);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    await user.save();
+    await clearAccountFailures(user.email);
+    return await sendLoginSuccess(req, res, user, {
+      recoveryCodesLeft: recoveryCode ? user.twoFactor.recoveryCodeHashes.length : undefined,
     });
   } catch (error) {
-    console.error("Error logging in:", error);
+    console.error("Error verifying two-factor login:", error);
     return res.status(500).json({ message: "Error logging in" });
   }
 };
 
+// ================== UNLOCK ACCOUNT ==================
+// Token from the lockout email; lifts the lock before it runs out
+export const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!(await unlockWithToken(token))) {
+      return res.status(400).json({ message: "Invalid or expired unlock link" });
+    }
+    return res.status(200).json({ message: "Account unlocked. You can sign in again." });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    return res.status(500).json({ message: "Error unlocking account" });
+  }
+};
+
+// ================== ADMIN: LOGIN LOCKS ==================
+export const getLoginLocks = async (req, res) => {
+  try {
+    const locks = await listActiveLoginLocks();
+    return res.status(200).json({ locks });
+  } catch (error) {
+    console.error("Error fetching login locks:", error);
+    return res.status(500).json({ message: "Error fetching login locks" });
+  }
+};
+
+export const deleteLoginLock = async (req, res) => {
+  try {
+    const { lockId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(lockId) || !(await clearLoginLock(lockId))) {
+      return res.status(404).json({ message: "Lock not found" });
+    }
+    return res.status(200).json({ message: "Lock cleared" });
+  } catch (error) {
+    console.error("Error clearing login lock:", error);
+    return res.status(500).json({ message: "Error clearing login lock" });
+  }
+};
+
+// ================== ADMIN: ROLES ==================
+export const getRoles = async (req, res) => {
+  return res.status(200).json({ roles: ROLE_PERMISSIONS });
+};
+
+export const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role", allowed: ROLES });
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: "You can't change your own role" });
+    }
+
+    const user = await User.findById(userId).select("-password");
+    if (!user || user.deletedAt) return res.status(404).json({ message: "User not found" });
+
+    if (role !== "admin" && (await isLastActiveAdmin(user))) {
+      return res.status(409).json({ message: "At least one admin is required" });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    user.accountHistory.push({ action: "role_changed", by: req.user._id, note: `${previousRole} → ${role}` });
+    await user.save();
+
+    return res.status(200).json({
+      message: "Role updated",
+      user: { _id: user._id, username: user.username, email: user.email, role: user.role },
+      permissions: permissionsFor(user.role),
+    });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    return res.status(500).json({ message: "Error updating user role" });
+  }
+};
+
+// ================== VERIFY EMAIL ==================
+export const verifyEmail = async (req, res) => {
+  try {
+    const { otp } = req.body || {};
+    if (!otp || !/^\d{6}$/.test(String(otp))) {
+      return res.status(400).json({ message: "A 6-digit code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+emailVerification");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.emailVerified) {
+      return res.status(200).json({ message: "Email already verified", emailVerified: true });
+    }
+
+    const result = await checkEmailVerification(user, otp);
+    await user.save();
+
+    switch (result) {
+      case "no_otp":
+        return res.status(400).json({ message: "No verification code is active. Request a new one." });
+      case "expired":
+        return res.status(400).json({ message: "Verification code expired. Request a new one." });
+      case "locked":
+        return res.status(429).json({ message: "Too many incorrect attempts. Request a new code." });
+      case "invalid":
+        return res.status(400).json({
+          message: "Invalid verification code",
+          attemptsLeft: Math.max(0, MAX_EMAIL_OTP_ATTEMPTS - user.emailVerification.otpAttempts),
+        });
+      default:
+        break;
+    }
+
+    (async () => {
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Welcome to Our E-Commerce Service",
+          text: `Hello ${user.username},\n\nThank you for signing up! We're excited to have you.\n\nBest regards,\nYour Team`,
+          html: `<p>Hello <b>${user.username}</b>,</p><p>Thank you for signing up! We're excited to have you.</p><p>Best regards,<br/>Your Team</p>`,
+        });
+      } catch (mailErr) {
+        console.error("[Mail] Welcome email failed:", mailErr?.message || mailErr);
+      }
+    })();
+
+    return res.status(200).json({ message: "Email verified", emailVerified: true });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    return res.status(500).json({ message: "Error verifying email" });
+  }
+};
+
+// ================== RESEND VERIFICATION ==================
+export const resendEmailVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+emailVerification");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.emailVerified) {
+      return res.status(409).json({ message: "Email already verified" });
+    }
+
+    const retryAfter = verificationResendWait(user);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message: `Please wait ${retryAfter}s before requesting another code.`, retryAfter });
+    }
+
+    const otp = await issueEmailVerification(user);
+    await user.save();
+    await sendVerificationEmail(user, otp);
+
+    return res.status(200).json({ message: "Verification code sent" });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    return res.status(500).json({ message: "Error sending verification email" });
+  }
+};
+
+// ================== REFRESH ==================
+// Swap a refresh token for a new access token; the refresh token is rotated too
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ message: "refreshToken is required" });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (rotated.error) return res.status(401).json({ message: rotated.error });
+
+    return res.status(200).json({
+      message: "Token refreshed",
+      token: rotated.accessToken,
+      refreshToken: rotated.refreshToken,
+      userId: rotated.user._id,
+      role: rotated.user.role,
+      userName: rotated.user.username,
+      email: rotated.user.email,
+    });
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    return res.status(500).json({ message: "Error refreshing token" });
+  }
+};
+
+// ================== LOGOUT ==================
+// Ends the session the refresh token belongs to ({ allDevices: true } ends every session)
+export const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ message: "refreshToken is required" });
+    }
+
+    // Unknown or already revoked tokens still get a 200 so logout can be retried safely
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session) {
+      if (allDevices === true) {
+        await revokeAllSessions(session.userId, "logout_all");
+      } else {
+        await revokeSession(session._id, "logout");
+      }
+    }
+
+    return res.status(200).json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    return res.status(500).json({ message: "Error logging out" });
+  }
+};
+
 // ================== GET SINGLE USER ==================
 export const getUser = async (req, res) => {
   try {
@@ -163,17 +495,18 @@ export const getUser = async (req, res) => {
 };
 
 // ================== UPDATE PROFILE ==================
+// Signed-in user's own profile only
 export const updateProfile = async (req, res) => {
   try {
-    const { userId } = req.params || {};
+    const userId = req.user._id;
+    if (req.params.userId && req.params.userId !== userId.toString()) {
+      return res.status(403).json({ message: "You can only edit your own profile" });
+    }
     let { username, email } = req.body || {};
 
     username = typeof username === "string" ? username.trim() : "";
     email = typeof email === "string" ? email.trim().toLowerCase() : "";
 
-    if (!userId) {
-      return res.status(400).json({ message: "User ID is required" });
-    }
     if (!username || !email) {
       return res.status(400).json({ message: "Username and email are required" });
     }
@@ -191,16 +524,32 @@ export const updateProfile = async (req, res) => {
       return res.status(409).json({ message: "Username already taken" });
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { username, email },
-      { new: true }
-    ).select("-password");
+    const user = await User.findById(userId).select("+emailVerification");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    // A new address has to be confirmed before it can be used for orders again
+    const emailChanged = user.email !== email;
+    user.username = username;
+    user.email = email;
+    const otp = emailChanged ? await issueEmailVerification(user) : null;
+    await user.save();
+
+    if (otp) {
+      try {
+        await sendVerificationEmail(user, otp);
+      } catch (mailErr) {
+        console.error("[Mail] Verification email failed:", mailErr?.message || mailErr);
+      }
+    }
 
-    if (!updatedUser) return res.status(404).json({ message: "User not found" });
+    const updatedUser = user.toObject();
+    delete updatedUser.password;
+    delete updatedUser.emailVerification;
 
     return res.status(200).json({
-      message: "Profile updated successfully",
+      message: emailChanged
+        ? "Profile updated. Please verify your new email address."
+        : "Profile updated successfully",
       user: updatedUser,
     });
   } catch (error) {
@@ -1,8 +1,20 @@
 import WishList from "../models/WishListModel.js";
 import Product from "../models/ProductModel.js";
 import mongoose from 'mongoose'; // <-- ADD THIS LINE!
-
-const PRODUCT_FIELDS_TO_POPULATE = 'img title newPrice prevPrice category _id';
+import { findVariant } from '../utils/Inventory.js';
+
+const PRODUCT_FIELDS_TO_POPULATE = 'img title newPrice prevPrice category variants _id';
+
+// Attach the variant the user picked (if any) to each wishlisted product
+const withSelectedVariants = (wishlist) =>
+    wishlist.products
+        .filter((product) => product)
+        .map((product) => {
+            const selection = (wishlist.selectedVariants || []).find(
+                (entry) => entry.productId.toString() === product._id.toString()
+            );
+            return { ...product.toObject(), selectedVariantId: selection ? selection.variantId : null };
+        });
 
 export const getWishlist = async (req, res, next) => {
     try {
@@ -17,7 +29,7 @@ export const getWishlist = async (req, res, next) => {
             wishlist = await WishList.findById(wishlist._id).populate('products', PRODUCT_FIELDS_TO_POPULATE);
         }
 
-        res.status(200).json({wishlist: wishlist.products});
+        res.status(200).json({wishlist: withSelectedVariants(wishlist)});
     } catch (error) {
         console.error("Error in getWishlist:", error);
         next(error);
@@ -28,18 +40,26 @@ export const addProductToWishlist = async (req, res, next) => {
     try {
         const userId = req.user._id;
         const { productId } = req.params;
+        const { variantId } = req.body || {};
 
         const productExists = await Product.findById(productId);
         if (!productExists) {
             res.status(404);
             throw new Error('Product not found for the given ID');
         }
+        if (variantId && !findVariant(productExists, variantId)) {
+            res.status(404);
+            throw new Error('Variant not found for this product');
+        }
+        const selectedVariants = variantId
+            ? [{ productId: new mongoose.Types.ObjectId(productId), variantId: new mongoose.Types.ObjectId(variantId) }]
+            : [];
 
         let wishlist = await WishList.findOne({ userId });
 
         if (!wishlist) {
             // Corrected line with mongoose imported
-            wishlist = await WishList.create({ userId, products: [new mongoose.Types.ObjectId(productId)] });
+            wishlist = await WishList.create({ userId, products: [new mongoose.Types.ObjectId(productId)], selectedVariants });
             // Populate the new wishlist before sending it in the response
             wishlist = await WishList.findById(wishlist._id).populate('products', PRODUCT_FIELDS_TO_POPULATE);
             return res.status(201).json({ message: "New wishlist created successfully and product added to wishlist", products: wishlist.products }); // Return products array
@@ -51,6 +71,7 @@ export const addProductToWishlist = async (req, res, next) => {
                  throw new Error('Product already exists in the wishlist!');
             }
             wishlist.products.push(new mongoose.Types.ObjectId(productId)); // Ensure consistency, push ObjectId
+            wishlist.selectedVariants.push(...selectedVariants);
             await wishlist.save();
         }
 
@@ -87,6 +108,9 @@ export const removeProductFromWishlist = async (req, res, next) => {
             res.status(404);
             throw new Error('Product not found in wishlist.');
         }
+        wishlist.selectedVariants = wishlist.selectedVariants.filter(
+            (entry) => entry.productId.toString() !== productId
+        );
 
         await wishlist.save();
 
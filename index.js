@@ -5,8 +5,6 @@ import dotenv from 'dotenv';
 import cors from 'cors';
 import morgan from 'morgan';
 import helmet from 'helmet';
-import crypto from 'crypto';
-import Razorpay from 'razorpay';
 import bcrypt from 'bcrypt';
 
 // import routes (make sure these paths exist)
@@ -20,6 +18,10 @@ import wishListRoute from './routes/WishListRoutes.js';
 import ReviewRoute from './routes/ReviewRoute.js';
 import AdminRoute from './routes/AdminRoute.js';
 import PasswordResetRoute from './routes/PasswordResetRoute.js';
+import PaymentRoute from './routes/PaymentRoute.js';
+import WebhookRoute from './routes/WebhookRoute.js';
+import ReturnRoute from './routes/ReturnRoute.js';
+import ShipmentRoute from './routes/ShipmentRoute.js';
 
 import User from './models/UserModel.js';
 
@@ -36,8 +38,10 @@ if (!mongoUri) {
 const PORT = process.env.PORT || 4000;
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "http://localhost:5173";
 
-if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-  console.warn("Warning: RAZORPAY_KEY_ID or RAZORPAY_KEY_SECRET is not set. Payment endpoints will fail until set.");
+// Behind a load balancer/proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address; login throttling counts failures per IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 }
 
 // Middlewares
@@ -47,6 +51,9 @@ app.use(
   cors()
 );
 
+// Webhooks read the raw body, so they are mounted before the JSON parser
+app.use('/', WebhookRoute);
+
 // Parse JSON bodies
 app.use(express.json({ limit: "1mb" }));
 
@@ -83,6 +90,9 @@ app.use('/', wishListRoute);
 app.use('/', ReviewRoute);
 app.use('/', AdminRoute);
 app.use('/', PasswordResetRoute);
+app.use('/', PaymentRoute);
+app.use('/', ReturnRoute);
+app.use('/', ShipmentRoute);
 
 // Admin creation endpoint (dev-only usage expected)
 app.post('/api/users/admin/create', async (req, res) => {
@@ -114,70 +124,6 @@ app.post('/api/users/admin/create', async (req, res) => {
   }
 });
 
-//
-// Razorpay integration
-//
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID || '',
-  key_secret: process.env.RAZORPAY_KEY_SECRET || ''
-});
-
-// health check for payments
-app.get('/api/payment', (_, res) => res.send('Razorpay Backend OK'));
-
-// Create an order
-app.post('/api/create-order', async (req, res) => {
-  try {
-    // Accept either amountInRupees or amountInPaise (prefer paise when present)
-    let { amountInRupees, amountInPaise, receiptNotes } = req.body;
-
-    if (amountInPaise == null) {
-      const numeric = Number(amountInRupees ?? 2);
-      if (isNaN(numeric) || numeric <= 0) {
-        return res.status(400).json({ error: 'Invalid amountInRupees' });
-      }
-      amountInPaise = Math.round(numeric * 100); // convert to paise
-    } else {
-      amountInPaise = Number(amountInPaise);
-      if (isNaN(amountInPaise) || amountInPaise <= 0) {
-        return res.status(400).json({ error: 'Invalid amountInPaise' });
-      }
-    }
-
-    const order = await razorpay.orders.create({
-      amount: amountInPaise,
-      currency: 'INR',
-      receipt: 'rcpt_' + Date.now(),
-      notes: Object.assign({ purpose: 'React demo' }, receiptNotes || {})
-    });
-
-    // Respond with the fields the frontend expects
-    res.json({ id: order.id, amount: order.amount, currency: order.currency });
-  } catch (err) {
-    console.error('Create order error:', err && (err.message || err));
-    res.status(500).json({ error: 'Failed to create order' });
-  }
-});
-
-// Verify payment signature
-app.post('/api/verify-payment', (req, res) => {
-  try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      return res.status(400).json({ ok: false, error: 'Missing required fields: razorpay_order_id, razorpay_payment_id, razorpay_signature' });
-    }
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expected = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
-      .update(body).digest('hex');
-    const ok = expected === razorpay_signature;
-    if (ok) return res.json({ ok: true });
-    return res.status(400).json({ ok: false, error: 'Invalid signature' });
-  } catch (err) {
-    console.error('Verify payment error:', err && (err.message || err));
-    res.status(500).json({ ok: false, error: 'Verification error' });
-  }
-});
-
 // Generic root health-check
 app.get('/', (req, res) => res.send('API server is running'));
 
@@ -1,6 +1,8 @@
 import jwt, { decode } from 'jsonwebtoken';
 import asyncHandler from 'express-async-handler'; 
 import User from '../models/UserModel.js'; 
+import { findActiveSession } from '../utils/AuthSessions.js';
+import { hasPermission, requiresTwoFactor } from '../utils/Permissions.js';
 
 // Middleware to protect routes (verify token and attach user to req)
 const protect = asyncHandler(async (req, res, next) => {
@@ -8,26 +10,38 @@ const protect = asyncHandler(async (req, res, next) => {
 
     
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-            
-            token = req.headers.authorization.split(' ')[1];
-
-            const decoded = jwt.verify(token, process.env.JWT_SECRET); 
+        token = req.headers.authorization.split(' ')[1];
 
-            req.user = await User.findById(decoded.user.id).select('-password');
-            console.log(decoded.user.id, req.user);
-            console.log(req.user);  
-            if (!req.user) {
-                res.status(401);
-                throw new Error('Not authorized, user not found');
-            }
-
-            next(); 
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
         } catch (error) {
             console.error('Token verification error:', error);
             res.status(401);
-            throw new Error('Not authorized, token failed');
+            // Lets the client tell "refresh and retry" apart from "log in again"
+            throw new Error(error.name === 'TokenExpiredError' ? 'Not authorized, token expired' : 'Not authorized, token failed');
+        }
+
+        // Access tokens belong to a login session; logout and password changes revoke it
+        const session = decoded.sid && await findActiveSession(decoded.sid);
+        if (!session || session.userId.toString() !== String(decoded.user?.id)) {
+            res.status(401);
+            throw new Error('Not authorized, session revoked');
         }
+        req.authSession = session;
+
+        req.user = await User.findById(decoded.user.id).select('-password');
+        if (!req.user) {
+            res.status(401);
+            throw new Error('Not authorized, user not found');
+        }
+
+        if (req.user.suspended) {
+            res.status(403);
+            throw new Error('Your account has been suspended');
+        }
+
+        return next();
     }
 
     if (!token) {
@@ -47,4 +61,39 @@ const admin = (req, res, next) => {
     }
 };
 
-export { protect, admin };
\ No newline at end of file
+// Middleware to allow only delivery agents (e.g. submitting a delivery OTP)
+const deliveryAgent = (req, res, next) => {
+    if (req.user && req.user.role === 'delivery_agent') {
+        next();
+    } else {
+        res.status(403);
+        throw new Error('Not authorized as a delivery agent');
+    }
+};
+
+// Middleware to allow only users who have confirmed their email (e.g. placing orders)
+const verifiedEmail = (req, res, next) => {
+    if (req.user && req.user.emailVerified) {
+        next();
+    } else {
+        res.status(403);
+        throw new Error('Please verify your email address before placing orders');
+    }
+};
+
+// Middleware factory: allow users whose role grants every listed permission
+// (see utils/Permissions.js), e.g. requirePermission('orders:update_status')
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (requiresTwoFactor(req.user) && !req.user.twoFactorEnabled) {
+        res.status(403);
+        throw new Error('Enable two-factor authentication to use staff features');
+    }
+    if (req.user && permissions.every((permission) => hasPermission(req.user, permission))) {
+        next();
+    } else {
+        res.status(403);
+        throw new Error(`Not authorized: requires ${permissions.join(', ')}`);
+    }
+};
+
+export { protect, admin, deliveryAgent, verifiedEmail, requirePermission };
\ No newline at end of file
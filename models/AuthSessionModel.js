@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. Access tokens carry the session id (sid) and stop
+// working as soon as the session is revoked; the refresh token is rotated on
+// every use and only its SHA-256 hash is stored.
+const AuthSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'password_reset', 'refresh_token_reuse', 'two_factor_enabled', 'admin']
+  },
+  ip: { type: String },
+  userAgent: { type: String }
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+export default AuthSession;
@@ -19,6 +19,18 @@ const cartSchema = new mongoose.Schema({
                 ref: 'Product',
                 required: true
             },
+            // Chosen SKU for products that have variants
+            variantId:{
+                type: mongoose.Schema.Types.ObjectId,
+                required: false
+            },
+            sku:{
+                type: String
+            },
+            attributes:{
+                type: Map,
+                of: String
+            },
             quantity:{
                 type: Number,
                 required: true,
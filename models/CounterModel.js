@@ -0,0 +1,10 @@
+import mongoose from 'mongoose';
+
+// Named sequences (invoice numbers, order numbers, ...) incremented atomically
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+const Counter = mongoose.model("Counter", CounterSchema);
+export default Counter;
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Audit trail: one record per delivery OTP submission
+const DeliveryOtpAttemptSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  result: {
+    type: String,
+    enum: ['success', 'invalid', 'expired', 'locked', 'no_otp', 'not_shipped'],
+    required: true
+  },
+  // Attempt number within the current OTP (0 when rejected before comparing)
+  attempt: { type: Number, default: 0 },
+  ip: { type: String },
+  userAgent: { type: String }
+}, { timestamps: { createdAt: 'attemptedAt', updatedAt: false } });
+
+const DeliveryOtpAttempt = mongoose.model('DeliveryOtpAttempt', DeliveryOtpAttemptSchema);
+export default DeliveryOtpAttempt;
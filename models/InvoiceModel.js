@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const InvoiceAddressSchema = new mongoose.Schema({
+  name: String,
+  phone: String,
+  addressLine1: String,
+  addressLine2: String,
+  city: String,
+  state: String,
+  pinCode: String
+}, { _id: false });
+
+// Tax invoice for an order. Everything is frozen at issue time so a reprint
+// always matches the original, whatever happens to the catalog later.
+const InvoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, required: true, unique: true },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: { type: String },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedAt: { type: Date, default: Date.now },
+  seller: {
+    name: String,
+    gstin: String,
+    address: String,
+    state: String
+  },
+  billingAddress: InvoiceAddressSchema,
+  shippingAddress: InvoiceAddressSchema,
+  supplyType: { type: String, enum: ['intra-state', 'inter-state'], required: true },
+  lines: [
+    {
+      title: { type: String, required: true },
+      sku: String,
+      hsnCode: String,
+      quantity: { type: Number, required: true },
+      unitPrice: { type: Number, required: true }, // GST-inclusive
+      taxableValue: { type: Number, required: true },
+      gstRate: { type: Number, required: true },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      total: { type: Number, required: true }
+    }
+  ],
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    grandTotal: Number
+  }
+}, { timestamps: true });
+
+const Invoice = mongoose.model("Invoice", InvoiceSchema);
+export default Invoice;
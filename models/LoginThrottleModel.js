@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Failed-login counter for one account (key "account:<email>") or one client
+// IP (key "ip:<address>"); see utils/LoginThrottle.js
+const LoginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ['account', 'ip'], required: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date },
+  // Exponential backoff: no attempt is checked before this time
+  nextAttemptAt: { type: Date },
+  lockedUntil: { type: Date },
+  // Accounts only: hash of the token in the unlock email
+  unlockTokenHash: { type: String, index: true, sparse: true },
+  // Counters are dropped by MongoDB once nothing has happened for a while
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', LoginThrottleSchema);
+export default LoginThrottle;
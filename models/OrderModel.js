@@ -1,6 +1,65 @@
 import mongoose from 'mongoose';
+import { ORDER_STATUSES, ITEM_STATUSES } from '../utils/OrderStatus.js';
+import { nextOrderNumber } from '../utils/OrderNumber.js';
+
+export const PAYMENT_METHODS = ['ONLINE', 'COD'];
+
+export const CANCELLATION_REASON_CODES = [
+  'CHANGED_MIND',
+  'ORDERED_BY_MISTAKE',
+  'FOUND_CHEAPER',
+  'DELIVERY_TOO_SLOW',
+  'WRONG_ADDRESS',
+  'PAYMENT_ISSUE',
+  'OTHER'
+];
+
+// Snapshot of the address-book entry chosen at checkout; later edits to the
+// address book don't change where an existing order ships
+const ShippingAddressSchema = new mongoose.Schema({
+  addressId: { type: mongoose.Schema.Types.ObjectId },
+  name: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  addressLine1: { type: String, required: true, trim: true },
+  addressLine2: { type: String, trim: true },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  pinCode: { type: String, trim: true },
+  // Original text for orders migrated from the old string field
+  legacyText: { type: String }
+}, { _id: false });
+
+// One carrier scan/event, as reported by the carrier adapter (utils/Carriers.js)
+const TrackingCheckpointSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'exception'],
+    required: true
+  },
+  description: { type: String, trim: true },
+  location: { type: String, trim: true },
+  occurredAt: { type: Date, required: true }
+}, { _id: false });
+
+// A package: some of the order's lines, shipped together
+const ShipmentSchema = new mongoose.Schema({
+  // Order line _ids in this package
+  items: [{ type: mongoose.Schema.Types.ObjectId, required: true }],
+  status: { type: String, enum: ['In Transit', 'Delivered'], default: 'In Transit' },
+  carrier: { type: String, required: true, trim: true },
+  // AWB / tracking number issued by the carrier
+  trackingNumber: { type: String, required: true, trim: true },
+  trackingUrl: { type: String, trim: true },
+  estimatedDeliveryDate: { type: Date },
+  shippedAt: { type: Date, default: Date.now },
+  checkpoints: [TrackingCheckpointSchema],
+  lastSyncedAt: { type: Date },
+  deliveredAt: { type: Date }
+});
 
 const OrderSchema = new mongoose.Schema({
+  // Customer-facing reference, e.g. MST-2026-000123 (assigned on first save)
+  orderNumber: { type: String, unique: true, sparse: true, trim: true },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -13,35 +72,103 @@ const OrderSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
       },
+      // Chosen SKU for products that have variants
+      variantId: { type: mongoose.Schema.Types.ObjectId, required: false },
+      sku: { type: String },
+      attributes: { type: Map, of: String },
       title: { type: String, required: true },
       quantity: { type: Number, required: true, min: 1 },
-      price: { type: Number, required: true }
+      price: { type: Number, required: true },
+      // Per-line fulfilment; the order status is derived from these
+      status: { type: String, enum: ITEM_STATUSES, default: 'Pending' },
+      shipmentId: { type: mongoose.Schema.Types.ObjectId },
+      cancelledAt: { type: Date },
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      // Set while the line is part of a return request (see ReturnRequestModel);
+      // "Returned" when the items came back but no refund went out with them
+      returnStatus: {
+        type: String,
+        enum: ['Return Requested', 'Return Rejected', 'Returned', 'Returned & Refunded']
+      }
     }
   ],
   totalAmount: { type: Number, required: true },
   status: {
     type: String,
-    enum: [
-      'Pending',
-      'Processing',
-      'Shipped',
-      'Delivered',
-      'Cancelled',
-      'Refunded',
-      'Return Requested',
-      'Returned & Refunded'
-    ],
+    enum: ORDER_STATUSES,
     default: 'Pending'
   },
+  // Every status change, oldest first (see utils/OrderStatus.js)
+  statusHistory: [
+    {
+      status: { type: String, enum: ORDER_STATUSES, required: true },
+      from: { type: String },
+      changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      actor: { type: String, enum: ['customer', 'admin', 'staff', 'delivery_agent', 'system'], default: 'system' },
+      note: { type: String, trim: true },
+      changedAt: { type: Date, default: Date.now }
+    }
+  ],
+  paymentStatus: {
+    type: String,
+    enum: ['Unpaid', 'Paid', 'Failed', 'Refunded', 'Partially Refunded'],
+    default: 'Unpaid'
+  },
+  paidAt: { type: Date },
+  paymentMethod: { type: String, enum: PAYMENT_METHODS, default: 'ONLINE' },
+  // Cash taken by the delivery agent, one entry per COD package handed over
+  codCollections: [
+    {
+      shipmentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      amountDue: { type: Number, required: true },
+      amountCollected: { type: Number, required: true },
+      collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      collectedAt: { type: Date, default: Date.now }
+    }
+  ],
   orderDate: { type: Date, default: Date.now, required: true },
-  shippingAddress: { type: String, required: true },
+  deliveredAt: { type: Date },
+  shippingAddress: { type: ShippingAddressSchema, required: true },
+  // One entry per package sent out; lines can ship separately
+  shipments: [ShipmentSchema],
+  // Set when the whole order is cancelled via POST /api/orders/:id/cancel
+  cancellation: {
+    reasonCode: { type: String, enum: CANCELLATION_REASON_CODES },
+    comments: { type: String, trim: true, maxlength: 1000 },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actor: { type: String, enum: ['customer', 'admin', 'staff'] },
+    cancelledAt: { type: Date }
+  },
 
-  // OTP fields
-  deliveryOtp: { type: String, required: false },
+  // Delivery OTP (see utils/DeliveryOtp.js); only the bcrypt hash is stored
+  deliveryOtpHash: { type: String, select: false },
   otpExpiresAt: { type: Date, required: false },
+  otpSentAt: { type: Date },
+  otpAttempts: { type: Number, default: 0 },
+  otpLockedUntil: { type: Date },
   otpVerified: { type: Boolean, default: false }
 
-}, { timestamps: true });
+}, {
+  timestamps: true,
+  toJSON: {
+    // Never send the OTP hash back, even right after it was set
+    transform: (doc, ret) => {
+      delete ret.deliveryOtpHash;
+      return ret;
+    }
+  }
+});
+
+OrderSchema.index({ 'shipments.trackingNumber': 1 }, { sparse: true });
+// Admin order list / export filters (utils/OrderFilters.js)
+OrderSchema.index({ status: 1, orderDate: -1 });
+OrderSchema.index({ userId: 1, orderDate: -1 });
+
+OrderSchema.pre('save', async function () {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await nextOrderNumber(this.orderDate || new Date(), { session: this.$session() });
+  }
+});
 
 const Order = mongoose.model("Order", OrderSchema);
 export default Order;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One Razorpay payment attempt for an order
+const PaymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: { type: String, default: 'razorpay' },
+  razorpayOrderId: { type: String, required: true, unique: true },
+  razorpayPaymentId: { type: String },
+  razorpaySignature: { type: String },
+  amount: { type: Number, required: true }, // in paise
+  currency: { type: String, default: 'INR' },
+  status: {
+    type: String,
+    enum: ['Created', 'Paid', 'Failed', 'Refunded', 'Partially Refunded'],
+    default: 'Created'
+  },
+  paidAt: { type: Date },
+  amountRefunded: { type: Number, default: 0 }, // in paise
+  refundIds: [{ type: String }],
+  failureReason: { type: String }
+}, { timestamps: true });
+
+const Payment = mongoose.model("Payment", PaymentSchema);
+export default Payment;
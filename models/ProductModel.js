@@ -1,6 +1,39 @@
 import express from 'express';
 import mongoose from 'mongoose';
 
+// A sellable SKU of a product (e.g. size M / color Red). Products without
+// variants keep using the top-level price, image and stock.
+const VariantSchema = new mongoose.Schema({
+    sku:{
+        type: String,
+        required: true,
+        trim: true
+    },
+    attributes:{
+        type: Map,
+        of: String,
+        default: {}
+    },
+    price:{
+        type: Number,
+        required: true,
+        min: 0
+    },
+    prevPrice:{
+        type: Number,
+        min: 0
+    },
+    img:{
+        type: String
+    },
+    stock:{
+        type: Number,
+        required: true,
+        min: 0,
+        default: 0
+    }
+})
+
 const ProductsSchema = new mongoose.Schema({
     title:{
         type: String,
@@ -35,6 +68,31 @@ const ProductsSchema = new mongoose.Schema({
     color:{
         type:String,
         required: true
+    },
+    // Products created before stock tracking need `npm run migrate:product-stock`
+    stock:{
+        type: Number,
+        required: true,
+        min: 0,
+        default: 0
+    },
+    // GST details printed on invoices; prices are GST-inclusive
+    hsnCode:{
+        type: String,
+        trim: true
+    },
+    gstRate:{
+        type: Number,
+        enum: [0, 5, 12, 18, 28],
+        default: 18
+    },
+    variants:{
+        type: [VariantSchema],
+        default: [],
+        validate: {
+            validator: (variants = []) => new Set(variants.map((v) => v.sku)).size === variants.length,
+            message: "Variant SKUs must be unique within a product"
+        }
     }
 
 })
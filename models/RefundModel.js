@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Money sent back to the customer for (part of) an order
+const RefundSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // "gateway" refunds go through Razorpay; "cash" ones are recorded by staff
+  // for cash-on-delivery orders and have no payment
+  method: { type: String, enum: ['gateway', 'cash'], default: 'gateway' },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: function () { return this.method !== 'cash'; }
+  },
+  // How a cash refund was paid out (UPI reference, voucher number, ...)
+  reference: { type: String, trim: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  razorpayRefundId: { type: String },
+  amount: { type: Number, required: true, min: 1 }, // in paise
+  reason: { type: String, required: true, trim: true },
+  items: [
+    {
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      variantId: { type: mongoose.Schema.Types.ObjectId },
+      quantity: { type: Number, min: 1 }
+    }
+  ],
+  status: {
+    type: String,
+    enum: ['Pending', 'Processed', 'Failed'],
+    default: 'Pending'
+  },
+  failureReason: { type: String },
+  processedAt: { type: Date },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+const Refund = mongoose.model("Refund", RefundSchema);
+export default Refund;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const RETURN_REASON_CODES = [
+  'DAMAGED',
+  'DEFECTIVE',
+  'WRONG_ITEM',
+  'SIZE_FIT',
+  'NOT_AS_DESCRIBED',
+  'CHANGED_MIND',
+  'OTHER'
+];
+
+export const RETURN_STATUSES = ['Requested', 'Approved', 'Rejected', 'Pickup Scheduled', 'Completed'];
+
+// A customer's return (RMA) for one or more lines of a delivered order
+const ReturnRequestSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [
+    {
+      orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      variantId: { type: mongoose.Schema.Types.ObjectId },
+      title: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      price: { type: Number, required: true }
+    }
+  ],
+  reasonCode: { type: String, enum: RETURN_REASON_CODES, required: true },
+  comments: { type: String, trim: true, maxlength: 1000 },
+  photos: [{ type: String, trim: true }],
+  status: { type: String, enum: RETURN_STATUSES, default: 'Requested' },
+  pickup: {
+    scheduledFor: { type: Date },
+    slot: { type: String, trim: true }
+  },
+  adminNote: { type: String, trim: true },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+  history: [
+    {
+      status: { type: String, enum: RETURN_STATUSES, required: true },
+      note: { type: String, trim: true },
+      changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      changedAt: { type: Date, default: Date.now }
+    }
+  ]
+}, { timestamps: true });
+
+const ReturnRequest = mongoose.model("ReturnRequest", ReturnRequestSchema);
+export default ReturnRequest;
@@ -0,0 +1,11 @@
+import mongoose from 'mongoose';
+
+// Admin-editable settings, one document per key (e.g. "cancellationPolicy")
+const SettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed, required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true, minimize: false });
+
+const Setting = mongoose.model('Setting', SettingSchema);
+export default Setting;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES } from '../utils/Permissions.js';
 
 const resetPasswordSchema = new mongoose.Schema({
   otpHash: { type: String },
@@ -8,6 +9,40 @@ const resetPasswordSchema = new mongoose.Schema({
   resetTokenUsed: { type: Boolean, default: false },
 }, { _id: false });
 
+// Pending email verification code (see utils/EmailVerification.js)
+const emailVerificationSchema = new mongoose.Schema({
+  otpHash: { type: String },
+  otpExpires: { type: Date },
+  otpAttempts: { type: Number, default: 0 },
+  sentAt: { type: Date },
+  // Codes sent in the current hour-long window, for rate limiting resends
+  sendCount: { type: Number, default: 0 },
+  sendWindowStart: { type: Date },
+}, { _id: false });
+
+// TOTP two-factor authentication (see utils/TwoFactor.js); secrets are encrypted
+const twoFactorSchema = new mongoose.Schema({
+  secret: { type: String },
+  // Set during enrollment until the first code is confirmed
+  pendingSecret: { type: String },
+  recoveryCodeHashes: [{ type: String }],
+  // Last TOTP time step accepted, so a code can't be used twice
+  lastUsedStep: { type: Number, default: -1 },
+  enabledAt: { type: Date },
+}, { _id: false });
+
+// Back-office action taken on the account, kept as an audit trail
+const accountActionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['role_changed', 'suspended', 'reactivated', 'password_reset_forced', 'deleted'],
+    required: true
+  },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, trim: true },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -22,6 +57,14 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true,
   },
+  // Orders can only be placed once the email address is confirmed
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  emailVerification: {
+    type: emailVerificationSchema,
+    default: undefined,
+    select: false,
+  },
   password: {
     type: String,
     required: true,
@@ -29,9 +72,26 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  // Set by an admin; suspended users can't sign in or use existing sessions
+  suspended: { type: Boolean, default: false },
+  suspendedAt: { type: Date },
+  suspendedReason: { type: String, trim: true },
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Set when an admin forces a reset; cleared once the user sets a new password
+  passwordResetRequired: { type: Boolean, default: false },
+  // Deleted accounts are anonymised rather than removed so their orders stay intact
+  deletedAt: { type: Date },
+  // Oldest first; see accountActionSchema
+  accountHistory: [accountActionSchema],
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactor: {
+    type: twoFactorSchema,
+    default: undefined,
+    select: false,
+  },
   // embed resetPassword subdocument
   resetPassword: {
     type: resetPasswordSchema,
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Webhook deliveries we have already handled, keyed by the provider's event ID
+const WebhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true, default: 'razorpay' },
+  eventId: { type: String, required: true, unique: true },
+  event: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['Processing', 'Processed', 'Ignored'],
+    default: 'Processing'
+  },
+  processedAt: { type: Date }
+}, { timestamps: true });
+
+const WebhookEvent = mongoose.model("WebhookEvent", WebhookEventSchema);
+export default WebhookEvent;
@@ -12,6 +12,20 @@ const wishListSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Product'
         }
+    ],
+    // Variant the user picked for a wishlisted product (one per product)
+    selectedVariants : [
+        {
+            productId:{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Product',
+                required: true
+            },
+            variantId:{
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            }
+        }
     ]
 },{timestamps : true});
 
@@ -1,26 +1,29 @@
 import express from "express";
-import { getSalesData, getOrderDistribution, getCategorySalesData, getAdminStats, getAllUsersActivity } from "../controllers/AdminController.js";
-import { protect, admin } from "../middleware/AuthMiddleware.js";
+import { getSalesData, getOrderDistribution, getCategorySalesData, getAdminStats, getAllUsersActivity, getCodReport } from "../controllers/AdminController.js";
+import { protect, requirePermission } from "../middleware/AuthMiddleware.js";
 
 const router = express.Router();
 
 // Route to fetch sales analytics
-router.get('/api/admin/sales', protect, admin, getSalesData);
+router.get('/api/admin/sales', protect, requirePermission('reports:read'), getSalesData);
 
 // Route to fetch order distribution data
-router.get('/api/admin/orders', protect, admin, getOrderDistribution);
+router.get('/api/admin/orders', protect, requirePermission('reports:read'), getOrderDistribution);
 
 // Route to fetch category sales data
-router.get('/api/admin/category-sales', protect, admin, getCategorySalesData);
+router.get('/api/admin/category-sales', protect, requirePermission('reports:read'), getCategorySalesData);
 
 
 // Route to fetch admin stats
-router.get('/api/admin/stats', protect, admin, getAdminStats);
+router.get('/api/admin/stats', protect, requirePermission('reports:read'), getAdminStats);
+
+// Route to fetch cash-on-delivery collections vs outstanding amounts
+router.get('/api/admin/reports/cod', protect, requirePermission('reports:read'), getCodReport);
 
 
 
 
 // Route to fetch all users' activity
-router.get("/api/users/activity", protect, admin, getAllUsersActivity);
+router.get("/api/users/activity", protect, requirePermission("users:read"), getAllUsersActivity);
 
 export default router;
\ No newline at end of file
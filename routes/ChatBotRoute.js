@@ -1,9 +1,10 @@
 import express from 'express';
 import { replyChatBot } from '../controllers/ChatBotController.js';
+import { protect } from '../middleware/AuthMiddleware.js';
 const router = express.Router();
 
 
-router.post('/api/chatbot', replyChatBot);
+router.post('/api/chatbot', protect, replyChatBot);
 
 
 export default router;
\ No newline at end of file
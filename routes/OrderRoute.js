@@ -1,26 +1,44 @@
 // routes/OrderRoutes.js
 import express from 'express';
-import { protect, admin } from '../middleware/AuthMiddleware.js';
+import { protect, deliveryAgent, verifiedEmail, requirePermission } from '../middleware/AuthMiddleware.js';
 import {
-  createOrder,
   getOrdersForUser,
   getAllOrders,
+  exportOrders,
   updateOrderStatus,
   cancelOrderItem,
+  cancelOrder,
   getOrderStatus,
   verifyDeliveryOtp,
-  requestReturn,          // <-- make sure this is imported
+  resendDeliveryOtp,
+  checkout,
+  getOrderRefunds,
+  createOrderRefund,
+  getOrderInvoice,
+  getCancellationPolicySettings,
+  updateCancellationPolicySettings,
+  getCodPolicySettings,
+  updateCodPolicySettings,
 } from '../controllers/OrderController.js';
 
 const router = express.Router();
 
-router.post('/api/orders/add', createOrder);
+router.post('/api/checkout', protect, verifiedEmail, checkout);
 router.get('/api/orders/getOrders', protect, getOrdersForUser);
-router.get('/api/orders/getAllOrders', protect, admin, getAllOrders);
-router.put('/api/orders/updateStatus/:orderId', protect, admin, updateOrderStatus);
+router.get('/api/orders/getAllOrders', protect, requirePermission('orders:read'), getAllOrders);
+router.get('/api/admin/orders/export', protect, requirePermission('orders:export'), exportOrders);
+router.put('/api/orders/updateStatus/:orderId', protect, requirePermission('orders:update_status'), updateOrderStatus);
 router.post('/api/orders/cancel-item/:id', protect, cancelOrderItem);
+router.post('/api/orders/:id/cancel', protect, cancelOrder);
 router.get('/api/orders/status/:id', protect, getOrderStatus);
-router.post('/api/orders/verify-otp/:orderId', protect, verifyDeliveryOtp);
-router.post('/api/orders/request-return/:id', protect, requestReturn);
+router.post('/api/orders/verify-otp/:orderId', protect, deliveryAgent, verifyDeliveryOtp);
+router.post('/api/orders/resend-otp/:orderId', protect, resendDeliveryOtp);
+router.get('/api/orders/:id/refunds', protect, getOrderRefunds);
+router.post('/api/orders/:id/refunds', protect, requirePermission('refunds:write'), createOrderRefund);
+router.get('/api/orders/:id/invoice', protect, getOrderInvoice);
+router.get('/api/admin/settings/cancellation-policy', protect, requirePermission('settings:write'), getCancellationPolicySettings);
+router.put('/api/admin/settings/cancellation-policy', protect, requirePermission('settings:write'), updateCancellationPolicySettings);
+router.get('/api/admin/settings/cod-policy', protect, requirePermission('settings:write'), getCodPolicySettings);
+router.put('/api/admin/settings/cod-policy', protect, requirePermission('settings:write'), updateCodPolicySettings);
 
 export default router;
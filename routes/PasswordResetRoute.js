@@ -1,10 +1,12 @@
 import express from 'express';
-import { forgotPassword, resetPassword, validateOtp} from '../controllers/PasswordController.js';
+import { forgotPassword, resetPassword, validateOtp, changePassword } from '../controllers/PasswordController.js';
+import { protect } from '../middleware/AuthMiddleware.js';
 const router = express.Router();
  
 router.post('/api/users/forgot-password', forgotPassword);
 router.post('/api/users/validate-otp', validateOtp)
 router.post('/api/users/reset-password', resetPassword);
+router.put('/api/users/me/password', protect, changePassword);
  
 // module.exports = router;
 export default router;
\ No newline at end of file
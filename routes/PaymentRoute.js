@@ -0,0 +1,22 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/AuthMiddleware.js';
+import {
+  createPaymentOrder,
+  verifyPayment,
+  getMyPayments,
+  getPaymentsForOrder,
+  getAllPayments,
+} from '../controllers/PaymentController.js';
+
+const router = express.Router();
+
+// health check for payments
+router.get('/api/payment', (_, res) => res.send('Razorpay Backend OK'));
+
+router.post('/api/create-order', protect, createPaymentOrder);
+router.post('/api/verify-payment', protect, verifyPayment);
+router.get('/api/payments/my', protect, getMyPayments);
+router.get('/api/payments/order/:orderId', protect, getPaymentsForOrder);
+router.get('/api/admin/payments', protect, requirePermission('payments:read'), getAllPayments);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/AuthMiddleware.js';
+import {
+  createReturnRequest,
+  getOrderReturns,
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  scheduleReturnPickup,
+  completeReturn,
+} from '../controllers/ReturnController.js';
+
+const router = express.Router();
+
+router.post('/api/orders/request-return/:id', protect, createReturnRequest);
+router.get('/api/orders/:id/returns', protect, getOrderReturns);
+
+router.get('/api/admin/returns', protect, requirePermission('returns:read'), getAllReturns);
+router.put('/api/admin/returns/:returnId/approve', protect, requirePermission('returns:manage'), approveReturn);
+router.put('/api/admin/returns/:returnId/reject', protect, requirePermission('returns:manage'), rejectReturn);
+router.put('/api/admin/returns/:returnId/schedule-pickup', protect, requirePermission('returns:manage'), scheduleReturnPickup);
+router.put('/api/admin/returns/:returnId/complete', protect, requirePermission('returns:manage'), completeReturn);
+
+export default router;
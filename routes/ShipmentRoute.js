@@ -0,0 +1,18 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/AuthMiddleware.js';
+import {
+  getOrderTracking,
+  createOrderShipment,
+  updateShipment,
+  syncOrderShipment,
+} from '../controllers/ShipmentController.js';
+
+const router = express.Router();
+
+router.get('/api/orders/:id/tracking', protect, getOrderTracking);
+
+router.post('/api/admin/orders/:id/shipments', protect, requirePermission('shipments:write'), createOrderShipment);
+router.post('/api/admin/orders/:id/shipments/sync', protect, requirePermission('shipments:write'), syncOrderShipment);
+router.put('/api/admin/orders/:id/shipments/:shipmentId', protect, requirePermission('shipments:write'), updateShipment);
+
+export default router;
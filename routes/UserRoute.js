@@ -1,13 +1,58 @@
 import express from 'express';
+import { protect, requirePermission } from '../middleware/AuthMiddleware.js';
 const router = express.Router();
 import { createUser } from '../controllers/UserController.js';
-import { getUsers } from  '../controllers/UserController.js';
 import { loginUser } from '../controllers/UserController.js';
 import { updateProfile } from '../controllers/UserController.js';
+import { refreshSession, logoutUser } from '../controllers/UserController.js';
+import { verifyEmail, resendEmailVerification } from '../controllers/UserController.js';
+import { unlockAccount, getLoginLocks, deleteLoginLock } from '../controllers/UserController.js';
+import { getRoles, updateUserRole } from '../controllers/UserController.js';
+import { loginWithTwoFactor } from '../controllers/UserController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/TwoFactorController.js';
+import {
+  getUsers,
+  getUserDetails,
+  getUserOrders,
+  suspendUser,
+  reactivateUser,
+  forcePasswordReset,
+  deleteUser,
+} from '../controllers/AdminUserController.js';
 
 router.post('/api/users/signup', createUser);
-router.get('/api/users', getUsers);
+router.get('/api/users', protect, requirePermission('users:read'), getUsers);
 router.post('/api/users/login', loginUser);
-router.put("/:userId/edit-profile", updateProfile);
+router.post('/api/users/login/2fa', loginWithTwoFactor);
+router.post('/api/users/refresh', refreshSession);
+router.post('/api/users/logout', logoutUser);
+router.post('/api/users/unlock', unlockAccount);
+router.get('/api/admin/login-locks', protect, requirePermission('users:read'), getLoginLocks);
+router.delete('/api/admin/login-locks/:lockId', protect, requirePermission('users:manage'), deleteLoginLock);
+router.get('/api/admin/roles', protect, requirePermission('users:manage_roles'), getRoles);
+router.get('/api/admin/users', protect, requirePermission('users:read'), getUsers);
+router.get('/api/admin/users/:userId', protect, requirePermission('users:read'), getUserDetails);
+router.get('/api/admin/users/:userId/orders', protect, requirePermission('users:read', 'orders:read'), getUserOrders);
+router.put('/api/admin/users/:userId/role', protect, requirePermission('users:manage_roles'), updateUserRole);
+router.put('/api/admin/users/:userId/suspend', protect, requirePermission('users:manage'), suspendUser);
+router.put('/api/admin/users/:userId/reactivate', protect, requirePermission('users:manage'), reactivateUser);
+router.post('/api/admin/users/:userId/force-password-reset', protect, requirePermission('users:manage'), forcePasswordReset);
+router.delete('/api/admin/users/:userId', protect, requirePermission('users:delete'), deleteUser);
+router.post('/api/users/verify-email', protect, verifyEmail);
+router.post('/api/users/verify-email/resend', protect, resendEmailVerification);
+router.get('/api/users/me/2fa', protect, getTwoFactorStatus);
+router.post('/api/users/me/2fa/setup', protect, setupTwoFactor);
+router.post('/api/users/me/2fa/enable', protect, enableTwoFactor);
+router.post('/api/users/me/2fa/disable', protect, disableTwoFactor);
+router.post('/api/users/me/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.put("/api/users/me/profile", protect, updateProfile);
+// Older path kept for existing clients; the :userId has to be the caller's own
+router.put("/:userId/edit-profile", protect, updateProfile);
 
 export default router;
\ No newline at end of file
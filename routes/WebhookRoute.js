@@ -0,0 +1,13 @@
+import express from 'express';
+import { razorpayWebhook } from '../controllers/PaymentController.js';
+import { carrierWebhook } from '../controllers/ShipmentController.js';
+
+const router = express.Router();
+
+// Raw body is required for signature verification — mount before express.json()
+router.post('/api/webhooks/razorpay', express.raw({ type: 'application/json', limit: '1mb' }), razorpayWebhook);
+
+// Carrier tracking pushes; each adapter authenticates its own requests
+router.post('/api/webhooks/carriers/:carrier', express.json({ limit: '1mb' }), carrierWebhook);
+
+export default router;
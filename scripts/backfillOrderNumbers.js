@@ -0,0 +1,48 @@
+// scripts/backfillOrderNumbers.js
+//
+// One-off: gives every order created before order numbers existed a
+// MST-<year>-<seq> number, oldest first, from the same counters new orders use.
+//
+//   node scripts/backfillOrderNumbers.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { nextOrderNumber } from "../utils/OrderNumber.js";
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  const mongoUri = process.env.MONGO_URI_CONNECTION_STRING;
+  if (!mongoUri) {
+    console.error("Missing MONGO_URI_CONNECTION_STRING in .env");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  const orders = mongoose.connection.collection("orders");
+
+  const cursor = orders
+    .find({ orderNumber: { $exists: false } }, { projection: { orderDate: 1, createdAt: 1 } })
+    .sort({ orderDate: 1, _id: 1 });
+  let assigned = 0;
+
+  for await (const order of cursor) {
+    const placedAt = order.orderDate || order.createdAt || order._id.getTimestamp();
+    if (dryRun) {
+      console.log(String(order._id), "→", `MST-${new Date(placedAt).getFullYear()}-…`);
+    } else {
+      const orderNumber = await nextOrderNumber(new Date(placedAt));
+      await orders.updateOne({ _id: order._id, orderNumber: { $exists: false } }, { $set: { orderNumber } });
+    }
+    assigned += 1;
+  }
+
+  console.log(`${dryRun ? "Would assign" : "Assigned"} ${assigned} order number(s).`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error("Backfill failed:", err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+// scripts/backfillProductStock.js
+//
+// One-off migration for stock tracking: products (and variants) created
+// before it existed have no stock field, and the reservation in
+// utils/Inventory.js never matches a missing field, so they can't be ordered
+// until this runs. Every product or variant without stock gets the given
+// starting quantity (default 0); set the real figures afterwards through the
+// product update endpoint.
+//
+//   node scripts/backfillProductStock.js [--stock=<quantity>] [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+const stockArg = process.argv.find((arg) => arg.startsWith("--stock="));
+const initialStock = stockArg ? Number(stockArg.slice("--stock=".length)) : 0;
+
+const run = async () => {
+  if (!Number.isInteger(initialStock) || initialStock < 0) {
+    console.error("--stock must be a whole number of 0 or more");
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGO_URI_CONNECTION_STRING;
+  if (!mongoUri) {
+    console.error("Missing MONGO_URI_CONNECTION_STRING in .env");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  const products = mongoose.connection.collection("products");
+
+  const productFilter = { stock: { $exists: false } };
+  const variantFilter = { variants: { $elemMatch: { stock: { $exists: false } } } };
+
+  if (dryRun) {
+    console.log(`Would set stock to ${initialStock} on ${await products.countDocuments(productFilter)} product(s).`);
+    console.log(`Would set stock to ${initialStock} on variants of ${await products.countDocuments(variantFilter)} product(s).`);
+  } else {
+    const productResult = await products.updateMany(productFilter, { $set: { stock: initialStock } });
+    const variantResult = await products.updateMany(
+      variantFilter,
+      { $set: { "variants.$[variant].stock": initialStock } },
+      { arrayFilters: [{ "variant.stock": { $exists: false } }] }
+    );
+    console.log(`Set stock on ${productResult.modifiedCount} product(s) and on variants of ${variantResult.modifiedCount} product(s).`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error("Migration failed:", err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// scripts/markExistingUsersVerified.js
+//
+// One-off migration for email verification: accounts created before it
+// existed are treated as verified so they can keep placing orders. New
+// signups still have to verify.
+//
+//   node scripts/markExistingUsersVerified.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  const mongoUri = process.env.MONGO_URI_CONNECTION_STRING;
+  if (!mongoUri) {
+    console.error("Missing MONGO_URI_CONNECTION_STRING in .env");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  const users = mongoose.connection.collection("users");
+
+  const filter = { emailVerified: { $exists: false } };
+  if (dryRun) {
+    console.log(`Would mark ${await users.countDocuments(filter)} user(s) as verified.`);
+  } else {
+    const result = await users.updateMany(filter, [
+      { $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ["$createdAt", "$$NOW"] } } },
+    ]);
+    console.log(`Marked ${result.modifiedCount} user(s) as verified.`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error("Migration failed:", err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
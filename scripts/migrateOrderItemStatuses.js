@@ -0,0 +1,85 @@
+// scripts/migrateOrderItemStatuses.js
+//
+// One-off migration for per-line fulfilment: gives every order line a status
+// derived from its order, and turns the old single `shipment` into a one-entry
+// `shipments` list covering all lines.
+//
+//   node scripts/migrateOrderItemStatuses.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Line status for an order that predates per-line tracking
+const ITEM_STATUS_FOR_ORDER = {
+  Pending: "Pending",
+  Processing: "Processing",
+  Shipped: "Shipped",
+  Delivered: "Delivered",
+  "Return Requested": "Delivered",
+  "Returned & Refunded": "Delivered",
+  Cancelled: "Cancelled",
+  Refunded: "Cancelled",
+};
+
+const run = async () => {
+  const mongoUri = process.env.MONGO_URI_CONNECTION_STRING;
+  if (!mongoUri) {
+    console.error("Missing MONGO_URI_CONNECTION_STRING in .env");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  const orders = mongoose.connection.collection("orders");
+
+  const cursor = orders.find({
+    $or: [{ items: { $elemMatch: { status: { $exists: false } } } }, { shipment: { $exists: true } }],
+  });
+  let migrated = 0;
+
+  for await (const order of cursor) {
+    const itemStatus = ITEM_STATUS_FOR_ORDER[order.status] || "Pending";
+    const update = { $set: {} };
+
+    let shipmentId;
+    if (order.shipment) {
+      shipmentId = new mongoose.Types.ObjectId();
+      const delivered = order.status !== "Shipped";
+      update.$set.shipments = [
+        {
+          ...order.shipment,
+          _id: shipmentId,
+          items: (order.items || []).map((it) => it._id),
+          status: delivered ? "Delivered" : "In Transit",
+          ...(delivered && order.deliveredAt ? { deliveredAt: order.deliveredAt } : {}),
+        },
+      ];
+      update.$unset = { shipment: "" };
+    }
+
+    update.$set.items = (order.items || []).map((it) => {
+      const line = { ...it, status: it.status || itemStatus };
+      if (!line.shipmentId && shipmentId && ["Shipped", "Delivered"].includes(line.status)) {
+        line.shipmentId = shipmentId;
+      }
+      return line;
+    });
+
+    if (dryRun) {
+      console.log(String(order._id), order.status, "→ lines", itemStatus, shipmentId ? "(+ shipment)" : "");
+    } else {
+      await orders.updateOne({ _id: order._id }, update);
+    }
+    migrated += 1;
+  }
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ${migrated} order(s).`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error("Migration failed:", err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+// scripts/migrateShippingAddresses.js
+//
+// One-off migration: turns the old free-text Order.shippingAddress strings into
+// the structured snapshot. Best effort — anything we can't place stays in
+// addressLine1 and the original text is kept in legacyText.
+//
+//   node scripts/migrateShippingAddresses.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const PHONE_RE = /(?:phone\s*:?\s*)?(?:\+91[\s-]?)?\b([6-9]\d{9})\b/i;
+const PIN_RE = /\b(\d{6})\b/;
+
+const parseLegacyAddress = (raw, fallbackName = "") => {
+  let text = String(raw || "").trim();
+
+  const phoneMatch = text.match(PHONE_RE);
+  if (phoneMatch) text = text.replace(phoneMatch[0], "");
+  const pinMatch = text.match(PIN_RE);
+  if (pinMatch) text = text.replace(pinMatch[0], "");
+
+  const parts = text
+    .split(/[,\n]/)
+    .map((p) => p.replace(/\s*-\s*$/, "").trim())
+    .filter(Boolean);
+
+  const address = {
+    name: fallbackName,
+    phone: phoneMatch ? phoneMatch[1] : "",
+    addressLine1: parts.join(", ") || String(raw || "").trim() || "Unknown",
+    addressLine2: "",
+    city: "",
+    state: "",
+    pinCode: pinMatch ? pinMatch[1] : "",
+    legacyText: String(raw || ""),
+  };
+
+  // "name, line1, [line2,] city, state" — the shape checkout used to write
+  if (parts.length >= 4) {
+    address.name = parts[0];
+    address.state = parts[parts.length - 1];
+    address.city = parts[parts.length - 2];
+    address.addressLine1 = parts[1];
+    address.addressLine2 = parts.slice(2, -2).join(", ");
+  } else if (parts.length === 3) {
+    address.addressLine1 = parts[0];
+    address.city = parts[1];
+    address.state = parts[2];
+  }
+
+  return address;
+};
+
+const run = async () => {
+  const mongoUri = process.env.MONGO_URI_CONNECTION_STRING;
+  if (!mongoUri) {
+    console.error("Missing MONGO_URI_CONNECTION_STRING in .env");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  const orders = mongoose.connection.collection("orders");
+  const users = mongoose.connection.collection("users");
+
+  const cursor = orders.find({ shippingAddress: { $type: "string" } });
+  let migrated = 0;
+
+  for await (const order of cursor) {
+    const user = await users.findOne({ _id: order.userId }, { projection: { username: 1 } });
+    const address = parseLegacyAddress(order.shippingAddress, user?.username || "");
+
+    if (dryRun) {
+      console.log(String(order._id), JSON.stringify(order.shippingAddress), "→", address);
+    } else {
+      await orders.updateOne({ _id: order._id }, { $set: { shippingAddress: address } });
+    }
+    migrated += 1;
+  }
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ${migrated} order(s).`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error("Migration failed:", err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
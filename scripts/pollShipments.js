@@ -0,0 +1,44 @@
+// scripts/pollShipments.js
+//
+// Polls carriers for every package still in transit and applies new
+// checkpoints; packages the carrier reports delivered are marked Delivered
+// (and the order with them once nothing is left). Run it from cron.
+//
+//   node scripts/pollShipments.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Order from "../models/OrderModel.js";
+import { syncOrderShipments } from "../utils/Shipments.js";
+dotenv.config();
+
+const run = async () => {
+  const mongoUri = process.env.MONGO_URI_CONNECTION_STRING;
+  if (!mongoUri) {
+    console.error("Missing MONGO_URI_CONNECTION_STRING in .env");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  const cursor = Order.find({ "shipments.status": "In Transit" }).cursor();
+  let synced = 0;
+  let delivered = 0;
+
+  for await (const order of cursor) {
+    try {
+      const result = await syncOrderShipments(order);
+      synced += result.tracked;
+      delivered += result.delivered;
+    } catch (err) {
+      console.error(`Failed to sync shipment for order ${order._id}:`, err.message);
+    }
+  }
+
+  console.log(`Synced ${synced} package(s); ${delivered} delivered.`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error("Shipment poll failed:", err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
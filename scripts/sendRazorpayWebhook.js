@@ -0,0 +1,60 @@
+// scripts/sendRazorpayWebhook.js
+//
+// Sends a signed Razorpay webhook fixture to a locally running server.
+//
+//   node scripts/sendRazorpayWebhook.js <event> [razorpayOrderId] [razorpayPaymentId]
+//   e.g. node scripts/sendRazorpayWebhook.js payment.captured order_NXk2 pay_NXk3
+//
+// Fixtures live in fixtures/razorpay/<event>.json and use the placeholders
+// order_TEST123 / pay_TEST123, which are swapped for the IDs given here.
+// Set EVENT_ID to resend the same event (replays should be ignored), and
+// WEBHOOK_URL to target something other than http://localhost:$PORT.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+dotenv.config();
+
+const [event, razorpayOrderId, razorpayPaymentId] = process.argv.slice(2);
+if (!event) {
+  console.error("Usage: node scripts/sendRazorpayWebhook.js <event> [razorpayOrderId] [razorpayPaymentId]");
+  process.exit(1);
+}
+
+const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+if (!secret) {
+  console.error("RAZORPAY_WEBHOOK_SECRET is not set.");
+  process.exit(1);
+}
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturePath = path.join(dirname, "..", "fixtures", "razorpay", `${event}.json`);
+if (!fs.existsSync(fixturePath)) {
+  console.error(`No fixture found at ${fixturePath}`);
+  process.exit(1);
+}
+
+let body = fs.readFileSync(fixturePath, "utf8");
+if (razorpayOrderId) body = body.replaceAll("order_TEST123", razorpayOrderId);
+if (razorpayPaymentId) body = body.replaceAll("pay_TEST123", razorpayPaymentId);
+
+const signature = crypto.createHmac("sha256", secret).update(body).digest("hex");
+const eventId = process.env.EVENT_ID || `evt_${crypto.randomBytes(8).toString("hex")}`;
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 4000}/api/webhooks/razorpay`;
+
+try {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Razorpay-Signature": signature,
+      "X-Razorpay-Event-Id": eventId,
+    },
+    body,
+  });
+  console.log(`${event} (${eventId}) → ${response.status}`, await response.text());
+} catch (err) {
+  console.error("Failed to send webhook:", err.message || err);
+  process.exit(1);
+}
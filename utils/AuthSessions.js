@@ -0,0 +1,114 @@
+// utils/AuthSessions.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import AuthSession from "../models/AuthSessionModel.js";
+import User from "../models/UserModel.js";
+import { safeCompare } from "./Razorpay.js";
+dotenv.config();
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash lookup
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || "").split(".");
+  return /^[a-f\d]{24}$/i.test(sessionId) && secret ? sessionId : null;
+};
+
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        userName: user.username,
+      },
+      sid: String(sessionId),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/*
+ * Sign a user in on a new device. Returns { accessToken, refreshToken, sessionId }.
+ */
+export const createAuthSession = async (user, req) => {
+  const session = new AuthSession({
+    userId: user._id,
+    expiresAt: refreshExpiry(),
+    ip: req?.ip,
+    userAgent: req?.get?.("user-agent"),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { accessToken: signAccessToken(user, session._id), refreshToken, sessionId: session._id };
+};
+
+/*
+ * Exchange a refresh token for a new access + refresh token pair. The old
+ * refresh token stops working. Presenting an already-rotated token means it
+ * was copied, so the whole session is revoked.
+ * Returns { user, accessToken, refreshToken } or { error }.
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return { error: "Invalid refresh token" };
+
+  const session = await AuthSession.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt.getTime() <= Date.now()) {
+    return { error: "Session expired, please log in again" };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (!safeCompare(session.refreshTokenHash, presentedHash)) {
+    await revokeSession(session._id, "refresh_token_reuse");
+    return { error: "Session expired, please log in again" };
+  }
+
+  const user = await User.findById(session.userId).select("-password");
+  if (!user || user.suspended) return { error: "Session expired, please log in again" };
+
+  // Conditional on the hash we checked, so two parallel refreshes can't both succeed
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    { refreshTokenHash: hashToken(nextToken), lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+    { new: true }
+  );
+  if (!rotated) return { error: "Session expired, please log in again" };
+
+  return { user, accessToken: signAccessToken(user, session._id), refreshToken: nextToken };
+};
+
+// The user's session for this refresh token, or null if it doesn't match
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+  const session = await AuthSession.findById(sessionId);
+  if (!session || !safeCompare(session.refreshTokenHash, hashToken(refreshToken))) return null;
+  return session;
+};
+
+// The live session an access token belongs to, or null once it is revoked/expired
+export const findActiveSession = (sessionId) =>
+  AuthSession.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+export const revokeSession = (sessionId, reason) =>
+  AuthSession.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+// Sign the user out everywhere (optionally keeping one session, e.g. the one changing the password)
+export const revokeAllSessions = (userId, reason, { except } = {}) =>
+  AuthSession.updateMany(
+    { userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
@@ -0,0 +1,66 @@
+// utils/CancellationPolicy.js
+import Setting from "../models/SettingModel.js";
+
+const SETTING_KEY = "cancellationPolicy";
+
+// Statuses a customer could ever cancel from; Shipped orders can't be cancelled at all
+export const CANCELLABLE_STATUSES = ["Pending", "Processing"];
+
+export const DEFAULT_CANCELLATION_POLICY = {
+  // Order statuses in which the customer may still cancel
+  allowedStatuses: ["Pending", "Processing"],
+  // Minutes after the order was placed; null means no time limit
+  windowMinutes: null,
+};
+
+export const getCancellationPolicy = async () => {
+  const setting = await Setting.findOne({ key: SETTING_KEY }).lean();
+  return { ...DEFAULT_CANCELLATION_POLICY, ...(setting?.value || {}) };
+};
+
+/*
+ * Validate and store a new policy (fields left out keep their current value).
+ * Returns { policy } or { error }.
+ */
+export const updateCancellationPolicy = async (input = {}, user) => {
+  const policy = await getCancellationPolicy();
+
+  if (input.allowedStatuses !== undefined) {
+    if (
+      !Array.isArray(input.allowedStatuses) ||
+      input.allowedStatuses.some((status) => !CANCELLABLE_STATUSES.includes(status))
+    ) {
+      return { error: `allowedStatuses must only contain ${CANCELLABLE_STATUSES.join(", ")}` };
+    }
+    policy.allowedStatuses = [...new Set(input.allowedStatuses)];
+  }
+
+  if (input.windowMinutes !== undefined) {
+    const minutes = input.windowMinutes === null ? null : Number(input.windowMinutes);
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes <= 0)) {
+      return { error: "windowMinutes must be a positive whole number of minutes, or null for no limit" };
+    }
+    policy.windowMinutes = minutes;
+  }
+
+  await Setting.findOneAndUpdate(
+    { key: SETTING_KEY },
+    { value: policy, updatedBy: user?._id },
+    { upsert: true, new: true }
+  );
+  return { policy };
+};
+
+// Why a customer can't cancel this order (or part of it) under the policy; null if they can
+export const customerCancellationBlocker = (order, policy) => {
+  if (!policy.allowedStatuses.includes(order.status)) {
+    return `Orders can't be cancelled once they are ${order.status}`;
+  }
+  if (policy.windowMinutes) {
+    const placedAt = new Date(order.orderDate || order.createdAt).getTime();
+    if (Date.now() > placedAt + policy.windowMinutes * 60 * 1000) {
+      return `Orders can only be cancelled within ${policy.windowMinutes} minutes of being placed`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,87 @@
+// utils/Carriers.js
+//
+// Carrier adapters turn a carrier's tracking data into our checkpoint shape
+// ({ status, description, location, occurredAt }, status being one of
+// TRACKING_STATUSES). An adapter is:
+//   name
+//   trackingUrl(trackingNumber)      -> public tracking page, if the carrier has one
+//   track(shipment)                  -> { checkpoints, estimatedDeliveryDate? }   (polling)
+//   parseWebhook(req)                -> { trackingNumber, checkpoints, estimatedDeliveryDate? },
+//                                       or null when the request isn't authentic  (push)
+// Shipments with a carrier that has no adapter are stored as-is and just not tracked.
+import dotenv from "dotenv";
+import { safeCompare } from "./Razorpay.js";
+dotenv.config();
+
+export const TRACKING_STATUSES = ["picked_up", "in_transit", "out_for_delivery", "delivered", "exception"];
+
+// Scripted progression used by the fake carrier, in hours after shipping
+const FAKE_TIMELINE = [
+  { after: 0, status: "picked_up", description: "Shipment picked up", location: "Origin hub" },
+  { after: 1, status: "in_transit", description: "In transit", location: "Sorting centre" },
+  { after: 3, status: "out_for_delivery", description: "Out for delivery", location: "Destination hub" },
+  { after: 4, status: "delivered", description: "Delivered", location: "Destination" },
+];
+
+/*
+ * Local stand-in carrier. Polling replays FAKE_TIMELINE against the ship date
+ * (FAKE_CARRIER_STEP_HOURS hours per unit, default 12), and it accepts pushed
+ * checkpoints signed with FAKE_CARRIER_WEBHOOK_TOKEN in x-carrier-token.
+ */
+export const createFakeCarrier = ({
+  stepHours = Number(process.env.FAKE_CARRIER_STEP_HOURS) || 12,
+  webhookToken = process.env.FAKE_CARRIER_WEBHOOK_TOKEN,
+  now = () => Date.now(),
+} = {}) => {
+  const stepMs = stepHours * 60 * 60 * 1000;
+
+  return {
+    name: "fake",
+    trackingUrl: (trackingNumber) => `https://tracking.example.com/fake/${encodeURIComponent(trackingNumber)}`,
+
+    track: async (shipment) => {
+      const shippedAt = new Date(shipment.shippedAt || now()).getTime();
+      const checkpoints = FAKE_TIMELINE.filter((step) => shippedAt + step.after * stepMs <= now()).map(
+        (step) => ({
+          status: step.status,
+          description: step.description,
+          location: step.location,
+          occurredAt: new Date(shippedAt + step.after * stepMs),
+        })
+      );
+      const last = FAKE_TIMELINE[FAKE_TIMELINE.length - 1];
+      return { checkpoints, estimatedDeliveryDate: new Date(shippedAt + last.after * stepMs) };
+    },
+
+    parseWebhook: (req) => {
+      if (!webhookToken || !safeCompare(webhookToken, req.get("x-carrier-token"))) return null;
+
+      const { trackingNumber, status, description, location, occurredAt, estimatedDeliveryDate } = req.body || {};
+      if (!trackingNumber || !TRACKING_STATUSES.includes(status)) return null;
+
+      return {
+        trackingNumber: String(trackingNumber),
+        checkpoints: [
+          {
+            status,
+            description,
+            location,
+            occurredAt: occurredAt ? new Date(occurredAt) : new Date(now()),
+          },
+        ],
+        estimatedDeliveryDate: estimatedDeliveryDate ? new Date(estimatedDeliveryDate) : undefined,
+      };
+    },
+  };
+};
+
+const carriers = new Map();
+
+export const registerCarrier = (adapter) => {
+  carriers.set(adapter.name.toLowerCase(), adapter);
+};
+
+export const getCarrier = (name) => carriers.get(String(name || "").toLowerCase()) || null;
+
+// Development and testing only: the fake carrier accepts made-up tracking data
+if (process.env.ENABLE_FAKE_CARRIER === "true") registerCarrier(createFakeCarrier());
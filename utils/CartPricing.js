@@ -0,0 +1,69 @@
+// utils/CartPricing.js
+import Product from "../models/ProductModel.js";
+import { findVariant, availableStock } from "./Inventory.js";
+
+// Catalog fields for a product (or the chosen variant) — never taken from the client
+export const catalogDetails = (product, variant = null) => ({
+  title: product.title,
+  price: variant ? variant.price : product.newPrice,
+  img: (variant && variant.img) || product.img,
+  sku: variant ? variant.sku : undefined,
+  attributes: variant ? variant.attributes : undefined,
+});
+
+/*
+ * Re-price cart lines against the current catalog.
+ * Each line gets the live price/title/img, the price the shopper saw when the
+ * item was added (`addedPrice`), and `priceChanged` / `unavailable` flags.
+ * Unavailable lines are left out of the subtotal.
+ */
+export const priceCartItems = async (items = [], { session } = {}) => {
+  const productIds = [...new Set(items.map((item) => String(item.productId)))];
+  const products = await Product.find({ _id: { $in: productIds } }).session(session || null);
+  const productsById = new Map(products.map((p) => [String(p._id), p]));
+
+  const lines = items.map((item) => {
+    const product = productsById.get(String(item.productId));
+    const variant = findVariant(product, item.variantId);
+    const base = {
+      _id: item._id,
+      productId: String(item.productId),
+      variantId: item.variantId ? String(item.variantId) : null,
+      quantity: item.quantity,
+      addedPrice: item.price,
+    };
+
+    let unavailableReason = null;
+    if (!product) unavailableReason = "Product is no longer available";
+    else if (item.variantId && !variant) unavailableReason = "Selected variant is no longer available";
+    else if (!item.variantId && product.variants.length > 0) unavailableReason = "Please select a variant";
+    else if (availableStock(product, item.variantId) < item.quantity) unavailableReason = "Not enough stock";
+
+    if (!product) {
+      return {
+        ...base,
+        title: item.title,
+        img: item.img,
+        price: item.price,
+        priceChanged: false,
+        unavailable: true,
+        unavailableReason,
+        lineTotal: 0,
+      };
+    }
+
+    const details = catalogDetails(product, variant);
+    return {
+      ...base,
+      ...details,
+      available: availableStock(product, item.variantId),
+      priceChanged: item.price !== details.price,
+      unavailable: Boolean(unavailableReason),
+      unavailableReason,
+      lineTotal: unavailableReason ? 0 : details.price * item.quantity,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  return { lines, subtotal };
+};
@@ -0,0 +1,107 @@
+// utils/CashOnDelivery.js
+import Setting from "../models/SettingModel.js";
+
+const SETTING_KEY = "codPolicy";
+
+export const DEFAULT_COD_POLICY = {
+  enabled: true,
+  // Largest order total (rupees) that may be paid on delivery; null means no limit
+  maxOrderValue: 10000,
+  // Delivery pincodes where COD is offered; empty means everywhere
+  allowedPincodes: [],
+};
+
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100;
+
+export const getCodPolicy = async () => {
+  const setting = await Setting.findOne({ key: SETTING_KEY }).lean();
+  return { ...DEFAULT_COD_POLICY, ...(setting?.value || {}) };
+};
+
+/*
+ * Validate and store a new COD policy (fields left out keep their current value).
+ * Returns { policy } or { error }.
+ */
+export const updateCodPolicy = async (input = {}, user) => {
+  const policy = await getCodPolicy();
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== "boolean") return { error: "enabled must be true or false" };
+    policy.enabled = input.enabled;
+  }
+
+  if (input.maxOrderValue !== undefined) {
+    const max = input.maxOrderValue === null ? null : Number(input.maxOrderValue);
+    if (max !== null && (!Number.isFinite(max) || max <= 0)) {
+      return { error: "maxOrderValue must be a positive amount, or null for no limit" };
+    }
+    policy.maxOrderValue = max;
+  }
+
+  if (input.allowedPincodes !== undefined) {
+    const pincodes = Array.isArray(input.allowedPincodes)
+      ? input.allowedPincodes.map((pin) => String(pin).trim())
+      : null;
+    if (!pincodes || pincodes.some((pin) => !/^\d{6}$/.test(pin))) {
+      return { error: "allowedPincodes must be a list of 6-digit pincodes (empty for everywhere)" };
+    }
+    policy.allowedPincodes = [...new Set(pincodes)];
+  }
+
+  await Setting.findOneAndUpdate(
+    { key: SETTING_KEY },
+    { value: policy, updatedBy: user?._id },
+    { upsert: true, new: true }
+  );
+  return { policy };
+};
+
+// Why an order of this total can't be paid on delivery to this pincode; null if it can
+export const codIneligibilityReason = (totalAmount, pinCode, policy) => {
+  if (!policy.enabled) return "Cash on delivery is currently unavailable";
+  if (policy.maxOrderValue != null && totalAmount > policy.maxOrderValue) {
+    return `Cash on delivery is only available for orders up to ${policy.maxOrderValue}`;
+  }
+  if (policy.allowedPincodes.length > 0 && !policy.allowedPincodes.includes(String(pinCode || "").trim())) {
+    return "Cash on delivery is not available for this delivery pincode";
+  }
+  return null;
+};
+
+// Whether the delivery agent still has to collect cash for this order
+export const collectsCashOnDelivery = (order) =>
+  order.paymentMethod === "COD" && ["Unpaid", "Failed"].includes(order.paymentStatus);
+
+// Cash due when this package is handed over: the value of its lines
+export const shipmentAmountDue = (order, shipment) => {
+  const itemIds = shipment.items.map(String);
+  return roundMoney(
+    order.items
+      .filter((it) => itemIds.includes(it._id.toString()) && it.status !== "Cancelled")
+      .reduce((sum, it) => sum + it.price * it.quantity, 0)
+  );
+};
+
+// True when the agent's amount matches what is due (to the paisa)
+export const collectionMatches = (amountDue, amountCollected) =>
+  roundMoney(amountDue) === roundMoney(amountCollected);
+
+/*
+ * Record the cash taken for a delivered package; the order becomes Paid once
+ * everything due has been collected. The caller saves.
+ */
+export const recordCodCollection = (order, shipment, { amountCollected, user }) => {
+  order.codCollections.push({
+    shipmentId: shipment._id,
+    amountDue: shipmentAmountDue(order, shipment),
+    amountCollected: roundMoney(amountCollected),
+    collectedBy: user?._id,
+    collectedAt: new Date(),
+  });
+
+  const collected = order.codCollections.reduce((sum, entry) => sum + entry.amountCollected, 0);
+  if (roundMoney(collected) >= roundMoney(order.totalAmount)) {
+    order.paymentStatus = "Paid";
+    order.paidAt = new Date();
+  }
+};
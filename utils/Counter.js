@@ -0,0 +1,13 @@
+// utils/Counter.js
+import Counter from "../models/CounterModel.js";
+
+// Next value of a named sequence (starts at 1). Safe under concurrency: the
+// increment and read happen in one findOneAndUpdate.
+export const nextSequence = async (name, { session } = {}) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
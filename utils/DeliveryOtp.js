@@ -0,0 +1,125 @@
+// utils/DeliveryOtp.js
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import Order from "../models/OrderModel.js";
+import { sendMail } from "./MailSender.js";
+import { orderRef } from "./OrderNumber.js";
+import { collectsCashOnDelivery, shipmentAmountDue } from "./CashOnDelivery.js";
+
+export const OTP_TTL_MINUTES = Number(process.env.DELIVERY_OTP_TTL_MINUTES || 10);
+export const MAX_OTP_ATTEMPTS = Number(process.env.DELIVERY_OTP_MAX_ATTEMPTS || 5);
+export const OTP_LOCKOUT_MINUTES = Number(process.env.DELIVERY_OTP_LOCKOUT_MINUTES || 15);
+export const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.DELIVERY_OTP_RESEND_COOLDOWN_SECONDS || 60);
+
+export const isOtpLocked = (order) =>
+  Boolean(order.otpLockedUntil) && new Date(order.otpLockedUntil).getTime() > Date.now();
+
+// Seconds until another OTP may be sent for this order (0 when allowed now)
+export const resendCooldownRemaining = (order) => {
+  if (!order.otpSentAt) return 0;
+  const readyAt = new Date(order.otpSentAt).getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000;
+  return Math.max(0, Math.ceil((readyAt - Date.now()) / 1000));
+};
+
+/*
+ * Generate a fresh OTP for the order, store only its hash and reset the
+ * attempt counter. Returns the plaintext OTP for the email; the caller saves.
+ */
+export const issueDeliveryOtp = async (order) => {
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  order.deliveryOtpHash = await bcrypt.hash(otp, 10);
+  order.otpExpiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+  order.otpSentAt = new Date();
+  order.otpAttempts = 0;
+  order.otpLockedUntil = null;
+  order.otpVerified = false;
+  return otp;
+};
+
+export const sendDeliveryOtpEmail = async (order, user, otp) => {
+  // The latest OTP works for whichever package arrives next
+  const inTransit = (order.shipments || []).filter((shipment) => shipment.status === "In Transit");
+  const tracking = inTransit
+    .map(
+      (shipment) =>
+        `<p>Carrier: <strong>${shipment.carrier}</strong> — Tracking number: <strong>${shipment.trackingNumber}</strong>${
+          shipment.trackingUrl ? ` (<a href="${shipment.trackingUrl}">track your package</a>)` : ""
+        }</p>`
+    )
+    .join("");
+  const cashDue = collectsCashOnDelivery(order)
+    ? inTransit.reduce((sum, shipment) => sum + shipmentAmountDue(order, shipment), 0)
+    : 0;
+  const html = `
+    <div style="font-family:Arial,sans-serif;font-size:14px;color:#222">
+      <h2>Your order is on the way 🚚</h2>
+      <p>Hi ${user?.username || "there"},</p>
+      <p>Your delivery OTP is:</p>
+      <div style="font-size:24px;font-weight:700;letter-spacing:3px;margin:10px 0">${otp}</div>
+      <p>This OTP is valid for <strong>${OTP_TTL_MINUTES} minutes</strong>. Share it with the delivery agent only when you receive your package.</p>
+      ${inTransit.length > 1 ? "<p>Only the most recent OTP works if your order arrives in several packages.</p>" : ""}
+      ${cashDue > 0 ? `<p>Cash on delivery: please keep <strong>Rs. ${cashDue}</strong> ready.</p>` : ""}
+      <p>Order No: <strong>${orderRef(order)}</strong></p>
+      ${tracking}
+      <hr />
+      <p style="color:#666">E-Commerce Team</p>
+    </div>
+  `;
+
+  await sendMail({
+    to: user?.email,
+    subject: "Your Delivery OTP",
+    text: `Your delivery OTP is ${otp}. Valid for ${OTP_TTL_MINUTES} minutes. Order: ${orderRef(order)}${inTransit
+      .map((shipment) => `. Tracking: ${shipment.carrier} ${shipment.trackingNumber}`)
+      .join("")}${cashDue > 0 ? `. Cash on delivery: Rs. ${cashDue}` : ""}`,
+    html,
+  });
+};
+
+/*
+ * Check a submitted OTP. The attempt counter is claimed atomically before the
+ * comparison, so parallel guesses can't exceed MAX_OTP_ATTEMPTS. The last
+ * failed attempt locks the order for OTP_LOCKOUT_MINUTES and discards the OTP;
+ * a new one has to be sent afterwards.
+ *
+ * Returns null when the order doesn't exist, otherwise { result, order, attempt }
+ * with result one of: success, invalid, expired, locked, no_otp, not_shipped.
+ */
+export const checkDeliveryOtp = async (orderId, otp) => {
+  const now = new Date();
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: "Shipped",
+      deliveryOtpHash: { $exists: true, $ne: null },
+      otpExpiresAt: { $gt: now },
+      otpAttempts: { $lt: MAX_OTP_ATTEMPTS },
+      $or: [{ otpLockedUntil: null }, { otpLockedUntil: { $lte: now } }],
+    },
+    { $inc: { otpAttempts: 1 } },
+    { new: true }
+  ).select("+deliveryOtpHash");
+
+  if (!order) {
+    const current = await Order.findById(orderId).select("+deliveryOtpHash");
+    if (!current) return null;
+
+    let result = "expired";
+    if (current.status !== "Shipped") result = "not_shipped";
+    else if (isOtpLocked(current) || (current.otpAttempts || 0) >= MAX_OTP_ATTEMPTS) result = "locked";
+    else if (!current.deliveryOtpHash || !current.otpExpiresAt) result = "no_otp";
+    return { result, order: current, attempt: 0 };
+  }
+
+  const attempt = order.otpAttempts;
+  if (await bcrypt.compare(String(otp), order.deliveryOtpHash)) {
+    return { result: "success", order, attempt };
+  }
+
+  if (attempt >= MAX_OTP_ATTEMPTS) {
+    order.otpLockedUntil = new Date(Date.now() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+    order.deliveryOtpHash = undefined;
+    await order.save();
+  }
+  return { result: "invalid", order, attempt };
+};
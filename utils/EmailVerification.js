@@ -0,0 +1,94 @@
+// utils/EmailVerification.js
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { sendMail } from "./MailSender.js";
+
+export const EMAIL_OTP_TTL_MINUTES = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES || 30);
+export const MAX_EMAIL_OTP_ATTEMPTS = 5;
+export const EMAIL_OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || 60);
+export const MAX_EMAIL_OTP_SENDS_PER_HOUR = Number(process.env.EMAIL_VERIFICATION_MAX_SENDS_PER_HOUR || 5);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/*
+ * Seconds until another verification code may be sent (0 when allowed now):
+ * a short cooldown between sends, plus an hourly cap.
+ */
+export const verificationResendWait = (user) => {
+  const ev = user.emailVerification;
+  if (!ev?.sentAt) return 0;
+
+  const now = Date.now();
+  const cooldownEnds = new Date(ev.sentAt).getTime() + EMAIL_OTP_RESEND_COOLDOWN_SECONDS * 1000;
+  const windowEnds = ev.sendWindowStart ? new Date(ev.sendWindowStart).getTime() + HOUR_MS : 0;
+  const capped = windowEnds > now && (ev.sendCount || 0) >= MAX_EMAIL_OTP_SENDS_PER_HOUR;
+
+  return Math.max(0, Math.ceil((Math.max(cooldownEnds, capped ? windowEnds : 0) - now) / 1000));
+};
+
+/*
+ * Generate a fresh verification code, store only its hash and mark the email
+ * unverified. Returns the plaintext code for the email; the caller saves.
+ */
+export const issueEmailVerification = async (user) => {
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const previous = user.emailVerification;
+  const now = new Date();
+  const windowOpen =
+    previous?.sendWindowStart && now.getTime() - new Date(previous.sendWindowStart).getTime() < HOUR_MS;
+
+  user.emailVerified = false;
+  user.emailVerifiedAt = undefined;
+  user.emailVerification = {
+    otpHash: await bcrypt.hash(otp, 10),
+    otpExpires: new Date(now.getTime() + EMAIL_OTP_TTL_MINUTES * 60 * 1000),
+    otpAttempts: 0,
+    sentAt: now,
+    sendCount: windowOpen ? (previous.sendCount || 0) + 1 : 1,
+    sendWindowStart: windowOpen ? previous.sendWindowStart : now,
+  };
+  return otp;
+};
+
+export const sendVerificationEmail = async (user, otp) => {
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hello ${user.username},\n\nYour email verification code is ${otp}. It expires in ${EMAIL_OTP_TTL_MINUTES} minutes.\n\nIf you didn't create an account, you can ignore this email.`,
+    html: `
+      <div style="font-family:Arial,sans-serif;font-size:14px;color:#222">
+        <p>Hello <b>${user.username}</b>,</p>
+        <p>Your email verification code is:</p>
+        <div style="font-size:24px;font-weight:700;letter-spacing:3px;margin:10px 0">${otp}</div>
+        <p>It expires in <strong>${EMAIL_OTP_TTL_MINUTES} minutes</strong>. You'll need a verified email to place orders.</p>
+        <p>If you didn't create an account, you can ignore this email.</p>
+        <hr />
+        <p style="color:#666">E-Commerce Team</p>
+      </div>
+    `,
+  });
+};
+
+/*
+ * Check a submitted code. On success the user is marked verified.
+ * Returns one of: success, invalid, expired, locked, no_otp. The caller saves.
+ */
+export const checkEmailVerification = async (user, otp) => {
+  const ev = user.emailVerification;
+  if (!ev?.otpHash) return "no_otp";
+  if (!ev.otpExpires || new Date(ev.otpExpires).getTime() <= Date.now()) return "expired";
+  if ((ev.otpAttempts || 0) >= MAX_EMAIL_OTP_ATTEMPTS) return "locked";
+
+  if (!(await bcrypt.compare(String(otp), ev.otpHash))) {
+    ev.otpAttempts = (ev.otpAttempts || 0) + 1;
+    return "invalid";
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  // Keep the send counters so verifying doesn't reset the resend limit
+  ev.otpHash = undefined;
+  ev.otpExpires = undefined;
+  ev.otpAttempts = 0;
+  return "success";
+};
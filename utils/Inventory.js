@@ -0,0 +1,96 @@
+// utils/Inventory.js
+import Product from "../models/ProductModel.js";
+
+// Statuses that put an order's items back on the shelf
+export const STOCK_RELEASING_STATUSES = ["Cancelled", "Returned", "Returned & Refunded"];
+
+// Look up the chosen variant on a product document (null when not found)
+export const findVariant = (product, variantId) => {
+  if (!product || !variantId || !Array.isArray(product.variants)) return null;
+  return product.variants.find((v) => String(v._id) === String(variantId)) || null;
+};
+
+// Stock available for a product, or for one of its variants
+export const availableStock = (product, variantId) => {
+  if (!product) return 0;
+  if (variantId) {
+    const variant = findVariant(product, variantId);
+    return variant ? variant.stock : 0;
+  }
+  return product.stock;
+};
+
+// Build the stock filter/update pair for a product or one of its variants
+const stockQuery = (item, quantity) => {
+  if (item.variantId) {
+    return {
+      filter: {
+        _id: item.productId,
+        variants: { $elemMatch: { _id: item.variantId, stock: { $gte: quantity } } },
+      },
+      update: { $inc: { "variants.$.stock": -quantity } },
+    };
+  }
+  return {
+    filter: { _id: item.productId, stock: { $gte: quantity } },
+    update: { $inc: { stock: -quantity } },
+  };
+};
+
+/*
+ * Atomically decrement stock for every { productId, variantId?, quantity } item.
+ * Each decrement only matches while enough stock is left, so two concurrent
+ * orders can never oversell. If any item fails, the ones already taken are
+ * put back and a per-item error list is returned.
+ */
+export const reserveStock = async (items = [], { session } = {}) => {
+  const reserved = [];
+  const errors = [];
+
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    const { filter, update } = stockQuery(item, quantity);
+    const updated = await Product.findOneAndUpdate(filter, update, { new: true, session });
+
+    if (updated) {
+      reserved.push({ productId: item.productId, variantId: item.variantId, quantity });
+      continue;
+    }
+
+    const product = await Product.findById(item.productId).select("title stock variants").session(session || null);
+    const variant = findVariant(product, item.variantId);
+    const found = product && (!item.variantId || variant);
+    const available = found ? availableStock(product, item.variantId) : 0;
+    const label = variant ? `${product.title} (${variant.sku})` : product?.title;
+    errors.push({
+      productId: String(item.productId),
+      variantId: item.variantId ? String(item.variantId) : null,
+      title: label || item.title || "Item",
+      requested: quantity,
+      available,
+      message: found
+        ? `Only ${available} left in stock for ${label}`
+        : (product ? "Variant not found" : "Product not found"),
+    });
+  }
+
+  if (errors.length > 0) {
+    await releaseStock(reserved, { session });
+    return { ok: false, errors };
+  }
+
+  return { ok: true, errors: [] };
+};
+
+// Put the quantities of the given items back into stock
+export const releaseStock = async (items = [], { session } = {}) => {
+  for (const item of items) {
+    const filter = item.variantId
+      ? { _id: item.productId, "variants._id": item.variantId }
+      : { _id: item.productId };
+    const update = item.variantId
+      ? { $inc: { "variants.$.stock": Number(item.quantity) } }
+      : { $inc: { stock: Number(item.quantity) } };
+    await Product.updateOne(filter, update, { session });
+  }
+};
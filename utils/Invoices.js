@@ -0,0 +1,223 @@
+// utils/Invoices.js
+import PDFDocument from "pdfkit";
+import Invoice from "../models/InvoiceModel.js";
+import Product from "../models/ProductModel.js";
+import { nextSequence } from "./Counter.js";
+import { formatAddressLines } from "./ShippingAddress.js";
+import { orderRef } from "./OrderNumber.js";
+
+const SELLER = {
+  name: process.env.SELLER_NAME || "MS Trendzz",
+  gstin: process.env.SELLER_GSTIN || "",
+  address: process.env.SELLER_ADDRESS || "",
+  state: process.env.SELLER_STATE || "",
+};
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+// Orders get an invoice once they are paid online or delivered
+export const isInvoiceable = (order) =>
+  ["Paid", "Partially Refunded", "Refunded"].includes(order.paymentStatus) ||
+  ["Delivered", "Return Requested", "Returned", "Returned & Refunded"].includes(order.status);
+
+// Indian financial year label, e.g. "2026-27" for dates from April 2026 to March 2027
+const financialYear = (date) => {
+  const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+};
+
+const sameState = (a, b) =>
+  Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/*
+ * Split GST-inclusive order lines into taxable value and CGST/SGST (same state
+ * as the seller) or IGST (different state).
+ */
+const buildInvoiceLines = async (order, intraState) => {
+  // Cancelled lines were never supplied
+  const items = order.items.filter((it) => it.status !== "Cancelled");
+  const productIds = items.map((it) => it.productId);
+  const products = await Product.find({ _id: { $in: productIds } }).select("hsnCode gstRate");
+  const productsById = new Map(products.map((p) => [String(p._id), p]));
+
+  return items.map((it) => {
+    const product = productsById.get(String(it.productId));
+    const gstRate = product?.gstRate ?? 18;
+    const total = round2(it.price * it.quantity);
+    const taxableValue = round2(total / (1 + gstRate / 100));
+    const tax = round2(total - taxableValue);
+    const cgst = intraState ? round2(tax / 2) : 0;
+
+    return {
+      title: it.title,
+      sku: it.sku,
+      hsnCode: product?.hsnCode || "",
+      quantity: it.quantity,
+      unitPrice: it.price,
+      taxableValue,
+      gstRate,
+      cgst,
+      sgst: intraState ? round2(tax - cgst) : 0,
+      igst: intraState ? 0 : tax,
+      total,
+    };
+  });
+};
+
+const sumOf = (lines, key) => round2(lines.reduce((sum, line) => sum + line[key], 0));
+
+/*
+ * Return the order's invoice, issuing it (with the next sequential number for
+ * the financial year) the first time it is asked for.
+ */
+export const getOrCreateInvoice = async (order) => {
+  const existing = await Invoice.findOne({ orderId: order._id });
+  if (existing) return existing;
+
+  const issuedAt = new Date();
+  const fy = financialYear(issuedAt);
+  const address = order.shippingAddress || {};
+  const intraState = sameState(address.state, SELLER.state);
+  const lines = await buildInvoiceLines(order, intraState);
+
+  const seq = await nextSequence(`invoice-${fy}`);
+  try {
+    return await Invoice.create({
+      invoiceNumber: `INV/${fy}/${String(seq).padStart(6, "0")}`,
+      orderId: order._id,
+      orderNumber: orderRef(order),
+      userId: order.userId._id || order.userId,
+      issuedAt,
+      seller: SELLER,
+      billingAddress: address,
+      shippingAddress: address,
+      supplyType: intraState ? "intra-state" : "inter-state",
+      lines,
+      totals: {
+        taxableValue: sumOf(lines, "taxableValue"),
+        cgst: sumOf(lines, "cgst"),
+        sgst: sumOf(lines, "sgst"),
+        igst: sumOf(lines, "igst"),
+        grandTotal: sumOf(lines, "total"),
+      },
+    });
+  } catch (error) {
+    // Two requests raced to issue the same order's invoice — keep the winner's
+    if (error.code === 11000) return Invoice.findOne({ orderId: order._id });
+    throw error;
+  }
+};
+
+// "INV/2026-27/000123" → "INV-2026-27-000123.pdf"
+export const invoiceFilename = (invoice) => `${invoice.invoiceNumber.replace(/\//g, "-")}.pdf`;
+
+// Built-in PDF fonts have no ₹ glyph
+const money = (n) => `Rs. ${Number(n || 0).toFixed(2)}`;
+
+const COLUMNS = [
+  { key: "index", label: "#", width: 20 },
+  { key: "title", label: "Item", width: 120 },
+  { key: "hsnCode", label: "HSN", width: 40 },
+  { key: "quantity", label: "Qty", width: 25 },
+  { key: "unitPrice", label: "Rate", width: 50, money: true },
+  { key: "taxableValue", label: "Taxable", width: 55, money: true },
+  { key: "gstRate", label: "GST%", width: 30 },
+  { key: "cgst", label: "CGST", width: 40, money: true },
+  { key: "sgst", label: "SGST", width: 40, money: true },
+  { key: "igst", label: "IGST", width: 40, money: true },
+  { key: "total", label: "Total", width: 55, money: true },
+];
+
+const drawRow = (doc, y, values, { bold = false } = {}) => {
+  let x = doc.page.margins.left;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7.5);
+  let height = 0;
+  COLUMNS.forEach((col) => {
+    const raw = values[col.key];
+    const text = col.money && typeof raw === "number" ? Number(raw).toFixed(2) : String(raw ?? "");
+    doc.text(text, x, y, { width: col.width - 4 });
+    height = Math.max(height, doc.heightOfString(text, { width: col.width - 4 }));
+    x += col.width;
+  });
+  return y + height + 6;
+};
+
+// Render an invoice document to a PDF buffer
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(16).text("TAX INVOICE", { align: "center" });
+    doc.moveDown(0.5);
+
+    doc.font("Helvetica-Bold").fontSize(10).text(invoice.seller.name);
+    doc.font("Helvetica").fontSize(9);
+    if (invoice.seller.address) doc.text(invoice.seller.address);
+    if (invoice.seller.state) doc.text(`State: ${invoice.seller.state}`);
+    doc.text(`GSTIN: ${invoice.seller.gstin || "N/A"}`);
+    doc.moveDown(0.5);
+
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`);
+    doc.text(`Invoice Date: ${new Date(invoice.issuedAt).toLocaleDateString("en-IN")}`);
+    doc.text(`Order No: ${invoice.orderNumber || invoice.orderId}`);
+    doc.text(`Supply: ${invoice.supplyType === "intra-state" ? "Intra-state (CGST + SGST)" : "Inter-state (IGST)"}`);
+    doc.moveDown(0.5);
+
+    const top = doc.y;
+    const half = (doc.page.width - doc.page.margins.left - doc.page.margins.right) / 2;
+    doc.font("Helvetica-Bold").text("Bill To", doc.page.margins.left, top);
+    doc.font("Helvetica").text(formatAddressLines(invoice.billingAddress).join("\n"), { width: half - 10 });
+    const leftBottom = doc.y;
+    doc.font("Helvetica-Bold").text("Ship To", doc.page.margins.left + half, top);
+    doc.font("Helvetica").text(formatAddressLines(invoice.shippingAddress).join("\n"), { width: half - 10 });
+    doc.y = Math.max(leftBottom, doc.y) + 12;
+
+    let y = drawRow(
+      doc,
+      doc.y,
+      Object.fromEntries(COLUMNS.map((col) => [col.key, col.label])),
+      { bold: true }
+    );
+    invoice.lines.forEach((line, idx) => {
+      if (y > doc.page.height - doc.page.margins.bottom - 60) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      y = drawRow(doc, y, {
+        index: idx + 1,
+        title: line.sku ? `${line.title} (${line.sku})` : line.title,
+        hsnCode: line.hsnCode || "-",
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        taxableValue: line.taxableValue,
+        gstRate: `${line.gstRate}%`,
+        cgst: line.cgst,
+        sgst: line.sgst,
+        igst: line.igst,
+        total: line.total,
+      });
+    });
+
+    doc.font("Helvetica").fontSize(9);
+    doc.y = y + 10;
+    const totals = invoice.totals || {};
+    const right = { align: "right" };
+    doc.text(`Taxable value: ${money(totals.taxableValue)}`, doc.page.margins.left, doc.y, right);
+    if (invoice.supplyType === "intra-state") {
+      doc.text(`CGST: ${money(totals.cgst)}`, right);
+      doc.text(`SGST: ${money(totals.sgst)}`, right);
+    } else {
+      doc.text(`IGST: ${money(totals.igst)}`, right);
+    }
+    doc.font("Helvetica-Bold").text(`Grand total: ${money(totals.grandTotal)}`, right);
+
+    doc.moveDown(2);
+    doc.font("Helvetica").fontSize(8).fillColor("#666")
+      .text("Prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.", doc.page.margins.left, doc.y);
+
+    doc.end();
+  });
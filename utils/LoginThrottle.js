@@ -0,0 +1,136 @@
+// utils/LoginThrottle.js
+//
+// Brute-force protection for /api/users/login. Failures are counted per
+// account (by email, whether or not it exists) and per client IP:
+//   - after BACKOFF_FREE_FAILURES, each further failure doubles the wait
+//     before the next attempt is even checked (capped at MAX_BACKOFF_SECONDS)
+//   - an account is locked for LOCKOUT_MINUTES after MAX_ACCOUNT_FAILURES,
+//     and its owner gets an email with a link to unlock it early
+//   - an IP is locked the same way after MAX_IP_FAILURES
+// Counters reset after FAILURE_WINDOW_MINUTES without failures or once a lock ends.
+import crypto from "crypto";
+import dotenv from "dotenv";
+import LoginThrottle from "../models/LoginThrottleModel.js";
+import { sendMail } from "./MailSender.js";
+dotenv.config();
+
+export const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES || 5);
+export const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES || 20);
+export const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+export const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 60);
+const BACKOFF_FREE_FAILURES = 2;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+const accountKey = (email) => `account:${String(email || "").trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const secondsUntil = (date) => (date ? Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000)) : 0);
+
+/*
+ * Seconds the client must wait before this login attempt may be checked
+ * (0 when it can go ahead). Locks and backoff on the account or the IP both count.
+ */
+export const loginRetryAfter = async (email, ip) => {
+  const throttles = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } }).lean();
+  return throttles.reduce(
+    (wait, t) => Math.max(wait, secondsUntil(t.lockedUntil), secondsUntil(t.nextAttemptAt)),
+    0
+  );
+};
+
+const recordFailure = async (key, kind, maxFailures) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+  // Start counting again after a quiet period or once a lock has run out
+  await LoginThrottle.updateOne(
+    { key, $or: [{ lastFailureAt: { $lt: windowStart } }, { lockedUntil: { $lte: now } }] },
+    { $set: { failures: 0, nextAttemptAt: null, lockedUntil: null, unlockTokenHash: null } }
+  );
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { kind, lastFailureAt: now, expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000) },
+    },
+    { upsert: true, new: true }
+  );
+
+  const justLocked = throttle.failures >= maxFailures && !throttle.lockedUntil;
+  if (justLocked) {
+    throttle.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  } else if (throttle.failures > BACKOFF_FREE_FAILURES) {
+    const backoff = Math.min(2 ** (throttle.failures - BACKOFF_FREE_FAILURES - 1), MAX_BACKOFF_SECONDS);
+    throttle.nextAttemptAt = new Date(now.getTime() + backoff * 1000);
+  }
+  await throttle.save();
+  return { throttle, justLocked };
+};
+
+const sendUnlockEmail = async (user, token) => {
+  const link = `${process.env.FRONTEND_ORIGIN || "http://localhost:5173"}/unlock-account?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Your account has been temporarily locked",
+    text: `Hi ${user.username || "there"},\n\nWe locked your account for ${LOCKOUT_MINUTES} minutes after ${MAX_ACCOUNT_FAILURES} failed sign-in attempts.\n\nIf this was you, unlock it now: ${link}\n\nIf it wasn't, someone may be guessing your password; consider changing it once you're signed in.`,
+    html: `
+      <div style="font-family:Arial,sans-serif;color:#222">
+        <p>Hi ${user.username || "there"},</p>
+        <p>We locked your account for <strong>${LOCKOUT_MINUTES} minutes</strong> after ${MAX_ACCOUNT_FAILURES} failed sign-in attempts.</p>
+        <p>If this was you, you can <a href="${link}">unlock your account now</a>.</p>
+        <p>If it wasn't, someone may be guessing your password; consider changing it once you're signed in.</p>
+        <hr/>
+        <p style="color:#666">E-Commerce Team</p>
+      </div>
+    `,
+  });
+};
+
+/*
+ * Count a failed login against the email and the IP. `user` is the account
+ * the email belongs to (null for unknown emails); it gets the unlock email
+ * when this failure locks it. Never throws on mail errors.
+ */
+export const recordLoginFailure = async (email, ip, user) => {
+  const [account] = await Promise.all([
+    recordFailure(accountKey(email), "account", MAX_ACCOUNT_FAILURES),
+    recordFailure(ipKey(ip), "ip", MAX_IP_FAILURES),
+  ]);
+
+  if (account.justLocked && user) {
+    const token = crypto.randomBytes(32).toString("hex");
+    account.throttle.unlockTokenHash = hashToken(token);
+    await account.throttle.save();
+    try {
+      await sendUnlockEmail(user, token);
+    } catch (mailErr) {
+      console.error("Failed to send account unlock email:", mailErr);
+    }
+  }
+};
+
+// A successful login clears the account's counter (the IP's keeps decaying on its own)
+export const clearAccountFailures = (email) => LoginThrottle.deleteOne({ key: accountKey(email) });
+
+// Unlock via the emailed token; returns false for unknown or used tokens
+export const unlockWithToken = async (token) => {
+  if (!token || typeof token !== "string") return false;
+  const result = await LoginThrottle.deleteOne({ kind: "account", unlockTokenHash: hashToken(token) });
+  return result.deletedCount > 0;
+};
+
+// Accounts and IPs currently locked or backing off, for the admin view
+export const listActiveLoginLocks = () => {
+  const now = new Date();
+  return LoginThrottle.find({ $or: [{ lockedUntil: { $gt: now } }, { nextAttemptAt: { $gt: now } }] })
+    .select("-unlockTokenHash")
+    .sort({ lastFailureAt: -1 })
+    .lean();
+};
+
+export const clearLoginLock = async (id) => {
+  const result = await LoginThrottle.deleteOne({ _id: id });
+  return result.deletedCount > 0;
+};
@@ -17,13 +17,14 @@ const transporter = nodemailer.createTransport({
   socketTimeout: 30_000,
 });
 
-export const sendMail = async ({ to, subject, text, html }) => {
+export const sendMail = async ({ to, subject, text, html, attachments }) => {
   const mailOptions = {
     from: `"E-Commerce" <${process.env.EMAIL_USER}>`,
     to,
     subject,
     text,
     html, // optional
+    attachments, // optional: [{ filename, content, contentType }]
   };
 
 
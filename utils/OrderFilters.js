@@ -0,0 +1,123 @@
+// utils/OrderFilters.js
+import mongoose from "mongoose";
+import User from "../models/UserModel.js";
+import { PAYMENT_METHODS } from "../models/OrderModel.js";
+import { ORDER_STATUSES } from "./OrderStatus.js";
+import { normalizeOrderNumber } from "./OrderNumber.js";
+
+const PAYMENT_STATUSES = ["Unpaid", "Paid", "Failed", "Refunded", "Partially Refunded"];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "Shipped,Delivered" or ?status=Shipped&status=Delivered → ["Shipped", "Delivered"]
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+
+// A bare date (2026-10-01) as an upper bound means "until the end of that day"
+const parseDate = (value, { endOfDay = false } = {}) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+/*
+ * Turn the admin order-list query string into a Mongo filter. Shared by the
+ * order list and the CSV export so both always match the same orders.
+ *
+ *   status, paymentStatus     one or more values (comma separated)
+ *   paymentMethod             ONLINE | COD
+ *   from, to                  order date range
+ *   minAmount, maxAmount      order total range
+ *   customer                  part of the customer's email or username
+ *   product                   product id, or part of an item title
+ *   orderNumber               exact number, or just the running number (123)
+ *   q                         any part of the order number
+ *
+ * Returns { filter } or { error }.
+ */
+export const buildOrderFilter = async (query = {}) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = listParam(query.status);
+    if (statuses.some((status) => !ORDER_STATUSES.includes(status))) {
+      return { error: `status must be one of ${ORDER_STATUSES.join(", ")}` };
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (query.paymentStatus) {
+    const statuses = listParam(query.paymentStatus);
+    if (statuses.some((status) => !PAYMENT_STATUSES.includes(status))) {
+      return { error: `paymentStatus must be one of ${PAYMENT_STATUSES.join(", ")}` };
+    }
+    filter.paymentStatus = { $in: statuses };
+  }
+
+  if (query.paymentMethod) {
+    if (!PAYMENT_METHODS.includes(query.paymentMethod)) {
+      return { error: `paymentMethod must be one of ${PAYMENT_METHODS.join(", ")}` };
+    }
+    filter.paymentMethod = query.paymentMethod;
+  }
+
+  if (query.from || query.to) {
+    filter.orderDate = {};
+    if (query.from) {
+      const from = parseDate(query.from);
+      if (!from) return { error: "from must be a valid date" };
+      filter.orderDate.$gte = from;
+    }
+    if (query.to) {
+      const to = parseDate(query.to, { endOfDay: true });
+      if (!to) return { error: "to must be a valid date" };
+      filter.orderDate.$lte = to;
+    }
+  }
+
+  if (query.minAmount != null || query.maxAmount != null) {
+    filter.totalAmount = {};
+    for (const [param, op] of [["minAmount", "$gte"], ["maxAmount", "$lte"]]) {
+      if (query[param] == null) continue;
+      const amount = Number(query[param]);
+      if (!Number.isFinite(amount)) return { error: `${param} must be a number` };
+      filter.totalAmount[op] = amount;
+    }
+  }
+
+  if (query.customer) {
+    const pattern = new RegExp(escapeRegex(String(query.customer).trim()), "i");
+    const users = await User.find({ $or: [{ email: pattern }, { username: pattern }] }).select("_id");
+    filter.userId = { $in: users.map((user) => user._id) };
+  }
+
+  if (query.product) {
+    const product = String(query.product).trim();
+    if (mongoose.Types.ObjectId.isValid(product) && /^[a-f\d]{24}$/i.test(product)) {
+      filter["items.productId"] = new mongoose.Types.ObjectId(product);
+    } else {
+      filter["items.title"] = new RegExp(escapeRegex(product), "i");
+    }
+  }
+
+  // orderNumber=MST-2026-000123, or just the running number (123) when read out over the phone
+  if (query.orderNumber) {
+    const ref = normalizeOrderNumber(query.orderNumber);
+    filter.orderNumber = /^\d+$/.test(ref) ? new RegExp(`-0*${ref}$`) : ref;
+  } else if (query.q) {
+    filter.orderNumber = new RegExp(escapeRegex(normalizeOrderNumber(query.q)));
+  }
+
+  return { filter };
+};
+
+export const ORDER_SORT_FIELDS = ["orderDate", "orderNumber", "totalAmount", "status", "_id"];
+
+export const buildOrderSort = (query = {}) => {
+  const sortBy = ORDER_SORT_FIELDS.includes(query.sortBy) ? query.sortBy : "orderDate";
+  const sortOrder = String(query.sortOrder || "desc").toLowerCase() === "asc" ? 1 : -1;
+  return { [sortBy]: sortOrder };
+};
@@ -0,0 +1,28 @@
+// utils/OrderNumber.js
+import { nextSequence } from "./Counter.js";
+
+const ORDER_NUMBER_PREFIX = "MST";
+
+// e.g. MST-2026-000123 (the sequence restarts every calendar year)
+export const ORDER_NUMBER_RE = /\bMST-\d{4}-\d{6,}\b/i;
+
+export const nextOrderNumber = async (date = new Date(), { session } = {}) => {
+  const year = date.getFullYear();
+  const seq = await nextSequence(`order-${year}`, { session });
+  return `${ORDER_NUMBER_PREFIX}-${year}-${String(seq).padStart(6, "0")}`;
+};
+
+export const normalizeOrderNumber = (value) => String(value || "").trim().toUpperCase();
+
+// What customers see: the order number, or the Mongo id for orders that predate it
+export const orderRef = (order) => order.orderNumber || String(order._id);
+
+// Query for an order given either its order number or its Mongo id; null if neither
+export const orderLookupFilter = (ref) => {
+  const value = String(ref || "").trim();
+  if (new RegExp(`^${ORDER_NUMBER_RE.source}$`, "i").test(value)) {
+    return { orderNumber: normalizeOrderNumber(value) };
+  }
+  if (/^[a-f\d]{24}$/i.test(value)) return { _id: value };
+  return null;
+};
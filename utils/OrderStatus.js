@@ -0,0 +1,144 @@
+// utils/OrderStatus.js
+
+export const ORDER_STATUSES = [
+  "Pending",
+  "Processing",
+  "Shipped",
+  "Delivered",
+  "Cancelled",
+  "Refunded",
+  "Return Requested",
+  "Returned", // items are back but the refund is still owed
+  "Returned & Refunded",
+];
+
+// Allowed next statuses for each order status; anything else is rejected
+export const ORDER_STATUS_TRANSITIONS = {
+  Pending: ["Processing", "Cancelled"],
+  Processing: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: ["Return Requested"],
+  "Return Requested": ["Returned & Refunded", "Returned", "Delivered"],
+  Returned: ["Returned & Refunded"],
+  Cancelled: ["Refunded"],
+  Refunded: [],
+  "Returned & Refunded": [],
+};
+
+// Fulfilment status of a single order line
+export const ITEM_STATUSES = ["Pending", "Processing", "Shipped", "Delivered", "Cancelled"];
+
+// Order statuses that are derived from the lines (see syncOrderStatus)
+const FULFILMENT_STATUSES = ["Pending", "Processing", "Shipped", "Delivered"];
+
+export const activeItems = (order) => order.items.filter((it) => it.status !== "Cancelled");
+
+export const canTransition = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Who made a change, as shown on the customer's timeline
+export const actorFor = (user) => {
+  if (!user) return "system";
+  if (user.role === "user") return "customer";
+  if (user.role === "admin" || user.role === "delivery_agent") return user.role;
+  return "staff";
+};
+
+/*
+ * Move an order to a new status and append it to statusHistory.
+ * Returns false (and leaves the order untouched) for a transition the graph
+ * doesn't allow; the caller still has to save the order.
+ */
+export const changeOrderStatus = (order, to, { user = null, note } = {}) => {
+  if (!canTransition(order.status, to)) return false;
+
+  order.statusHistory.push({
+    status: to,
+    from: order.status,
+    changedBy: user ? user._id : undefined,
+    actor: actorFor(user),
+    note,
+    changedAt: new Date(),
+  });
+  order.status = to;
+  cascadeToItems(order, to);
+  return true;
+};
+
+// Order-wide changes that also apply to the lines they cover
+const cascadeToItems = (order, to) => {
+  if (to === "Processing") {
+    order.items.forEach((it) => {
+      if (it.status === "Pending") it.status = "Processing";
+    });
+  } else if (to === "Cancelled") {
+    order.items.forEach((it) => {
+      if (["Pending", "Processing"].includes(it.status)) {
+        it.status = "Cancelled";
+        it.cancelledAt = new Date();
+      }
+    });
+  } else if (to === "Returned & Refunded") {
+    order.items.forEach((it) => {
+      if (it.returnStatus === "Returned") it.returnStatus = "Returned & Refunded";
+    });
+  } else if (to === "Delivered" && !order.deliveredAt) {
+    order.deliveredAt = new Date();
+  }
+};
+
+/*
+ * Order status implied by the lines: Cancelled when every line is, Delivered
+ * when every remaining line is, Shipped as soon as any line has left.
+ */
+export const deriveOrderStatus = (order) => {
+  const active = activeItems(order);
+  if (active.length === 0) return "Cancelled";
+  if (active.every((it) => it.status === "Delivered")) return "Delivered";
+  if (active.some((it) => ["Shipped", "Delivered"].includes(it.status))) return "Shipped";
+  if (active.some((it) => it.status === "Processing")) return "Processing";
+  return "Pending";
+};
+
+/*
+ * Move the order to the status its lines imply, recording it in the history.
+ * Only applies while the order is being fulfilled; returns and refunds are
+ * order-level. Returns true when the status changed.
+ */
+export const syncOrderStatus = (order, { user = null, note } = {}) => {
+  if (!FULFILMENT_STATUSES.includes(order.status)) return false;
+  const derived = deriveOrderStatus(order);
+  if (derived === order.status) return false;
+  return changeOrderStatus(order, derived, { user, note });
+};
+
+/*
+ * Record that the refund owed for returned items has gone out: their lines
+ * become "Returned & Refunded", and so does the order if it was waiting in
+ * "Returned". Returns true when anything changed; the caller saves.
+ */
+export const markReturnRefunded = (order, { user = null, note } = {}) => {
+  if (order.status === "Returned") return changeOrderStatus(order, "Returned & Refunded", { user, note });
+
+  const owed = order.items.filter((it) => it.returnStatus === "Returned");
+  owed.forEach((it) => {
+    it.returnStatus = "Returned & Refunded";
+  });
+  return owed.length > 0;
+};
+
+// Reply body for a rejected transition
+export const invalidTransitionBody = (from, to) => ({
+  message: `Cannot change order status from "${from}" to "${to}"`,
+  allowed: ORDER_STATUS_TRANSITIONS[from] || [],
+});
+
+// Customer-facing tracking timeline (no internal user IDs)
+export const buildStatusTimeline = (order) =>
+  (order.statusHistory || []).map((entry) => ({
+    status: entry.status,
+    from: entry.from || null,
+    actor: entry.actor,
+    note: entry.note || null,
+    at: entry.changedAt,
+  }));
@@ -0,0 +1,56 @@
+// utils/PasswordPolicy.js
+import fs from "fs";
+
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 8);
+// bcrypt ignores everything after 72 bytes
+export const PASSWORD_MAX_BYTES = 72;
+// Out of: lowercase, uppercase, digit, symbol
+export const PASSWORD_MIN_CHARACTER_CLASSES = 3;
+
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(new URL("./common-passwords.txt", import.meta.url), "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"))
+);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/];
+
+/*
+ * Check a new password against the policy used for signup, reset and change.
+ * Pass the account's username/email so passwords built from them are refused.
+ * Returns a list of problems (empty when the password is acceptable).
+ */
+export const passwordPolicyErrors = (password, { username, email } = {}) => {
+  if (typeof password !== "string" || password.length === 0) return ["Password is required"];
+
+  const errors = [];
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password, "utf8") > PASSWORD_MAX_BYTES) {
+    errors.push(`Password must be at most ${PASSWORD_MAX_BYTES} bytes`);
+  }
+  if (CHARACTER_CLASSES.filter((re) => re.test(password)).length < PASSWORD_MIN_CHARACTER_CLASSES) {
+    errors.push(
+      `Password must use at least ${PASSWORD_MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, digits, symbols`
+    );
+  }
+
+  // "Password123!" is as weak as "password": also try it without trailing digits/symbols
+  const lowered = password.toLowerCase();
+  const stem = lowered.replace(/[^a-z]+$/, "");
+  if (COMMON_PASSWORDS.has(lowered) || (stem.length >= 4 && COMMON_PASSWORDS.has(stem))) {
+    errors.push("This password is too common; choose another one");
+  }
+
+  const personal = [username, String(email || "").split("@")[0]]
+    .map((value) => String(value || "").trim().toLowerCase())
+    .filter((value) => value.length >= 3);
+  if (personal.some((value) => lowered.includes(value))) {
+    errors.push("Password must not contain your username or email");
+  }
+
+  return errors;
+};
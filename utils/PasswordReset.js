@@ -0,0 +1,35 @@
+// utils/PasswordReset.js
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { sendMail } from "./MailSender.js";
+
+export const PASSWORD_RESET_OTP_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+/*
+ * Start the OTP reset flow for a user: store the hashed code on
+ * user.resetPassword, save, and email the plaintext code. Used by
+ * "forgot password" and by admins forcing a reset ({ forced: true }).
+ */
+export const startPasswordReset = async (user, { forced = false } = {}) => {
+  // Generate numeric OTP (6 digits)
+  const otp = crypto.randomInt(100000, 999999).toString();
+
+  // Store OTP hash, expiry and attempts in user.resetPassword subdocument
+  user.resetPassword = {
+    otpHash: await bcrypt.hash(otp, 10),
+    otpExpires: Date.now() + PASSWORD_RESET_OTP_TTL_MS,
+    otpAttempts: 0,
+    verified: false,         // will be set true by validateOtp
+    resetTokenUsed: false,   // will be set true after password reset
+  };
+  await user.save();
+
+  // Only the plaintext OTP is sent — the reset token is issued later by validateOtp
+  await sendMail({
+    to: user.email,
+    subject: forced ? "Please reset your password" : "Password Reset OTP",
+    text: forced
+      ? `Hi ${user.username || "there"},\n\nFor your security, our team has asked you to set a new password before signing in again. You have been signed out on all devices.\n\nYour OTP is: ${otp}. It expires in 15 minutes. You can also request a new one from the "Forgot password" page.`
+      : `Your OTP is: ${otp}. It expires in 15 minutes. If you did not request this, please ignore this email.`,
+  });
+};
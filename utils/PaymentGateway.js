@@ -0,0 +1,56 @@
+// utils/PaymentGateway.js
+//
+// Everything that moves money goes through a gateway object:
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, status }
+//   refund(paymentId, { amount, notes })              -> { id, payment_id, amount, status }
+// Amounts are in paise and responses are Razorpay-shaped. Set PAYMENT_GATEWAY=mock
+// (or call setPaymentGateway) to run the payment and refund flows offline.
+import crypto from "crypto";
+import Razorpay from "razorpay";
+import dotenv from "dotenv";
+dotenv.config();
+
+let razorpayClient = null;
+const getRazorpayClient = () => {
+  if (!razorpayClient) {
+    razorpayClient = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID || "",
+      key_secret: process.env.RAZORPAY_KEY_SECRET || "",
+    });
+  }
+  return razorpayClient;
+};
+
+export const razorpayGateway = {
+  name: "razorpay",
+  createOrder: (params) => getRazorpayClient().orders.create(params),
+  refund: (paymentId, { amount, notes }) =>
+    getRazorpayClient().payments.refund(paymentId, { amount, notes, speed: "normal" }),
+};
+
+// In-memory gateway; `calls` records every request for inspection
+export const createMockGateway = () => {
+  const calls = [];
+  const mockId = (prefix) => `${prefix}_mock${crypto.randomBytes(6).toString("hex")}`;
+
+  return {
+    name: "mock",
+    calls,
+    createOrder: async ({ amount, currency = "INR", receipt, notes }) => {
+      calls.push({ type: "createOrder", amount, currency, receipt, notes });
+      return { id: mockId("order"), entity: "order", amount, currency, receipt, status: "created" };
+    },
+    refund: async (paymentId, { amount, notes }) => {
+      calls.push({ type: "refund", paymentId, amount, notes });
+      return { id: mockId("rfnd"), entity: "refund", payment_id: paymentId, amount, currency: "INR", status: "processed" };
+    },
+  };
+};
+
+let activeGateway = process.env.PAYMENT_GATEWAY === "mock" ? createMockGateway() : razorpayGateway;
+
+export const getPaymentGateway = () => activeGateway;
+
+export const setPaymentGateway = (gateway) => {
+  activeGateway = gateway;
+};
@@ -0,0 +1,60 @@
+// utils/Permissions.js
+//
+// Named permissions and the roles that grant them. Routes ask for a
+// permission (requirePermission in middleware/AuthMiddleware.js) rather than
+// a role, so staff only get the parts of the back office their job needs.
+// "admin" has every permission.
+
+export const PERMISSIONS = [
+  "orders:read", // see any customer's order, list and search orders
+  "orders:export",
+  "orders:update_status",
+  "orders:cancel", // cancel orders/items on a customer's behalf, past the customer cutoff
+  "shipments:write",
+  "returns:read",
+  "returns:manage",
+  "refunds:write",
+  "payments:read",
+  "products:write",
+  "reports:read",
+  "settings:write", // cancellation and COD policies
+  "users:read",
+  "users:manage", // clear login lockouts, suspend accounts, force password resets
+  "users:manage_roles",
+  "users:delete", // anonymise an account; admin only
+];
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+  delivery_agent: [],
+  support: [
+    "orders:read",
+    "orders:cancel",
+    "returns:read",
+    "returns:manage",
+    "payments:read",
+    "users:read",
+    "users:manage",
+  ],
+  catalog_manager: ["products:write", "reports:read"],
+  fulfilment: ["orders:read", "orders:update_status", "shipments:write", "returns:read"],
+  finance: ["orders:read", "orders:export", "payments:read", "refunds:write", "reports:read"],
+  admin: PERMISSIONS,
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that work in the back office (everyone except customers and delivery agents)
+export const STAFF_ROLES = ROLES.filter((role) => !["user", "delivery_agent"].includes(role));
+
+// Staff accounts must turn on two-factor authentication before their role's
+// permissions apply (REQUIRE_STAFF_2FA=false switches this off for local development)
+export const requiresTwoFactor = (user) =>
+  process.env.REQUIRE_STAFF_2FA !== "false" && STAFF_ROLES.includes(user?.role);
+
+export const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermission = (user, permission) =>
+  Boolean(user) &&
+  !(requiresTwoFactor(user) && !user.twoFactorEnabled) &&
+  permissionsFor(user.role).includes(permission);
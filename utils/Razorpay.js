@@ -0,0 +1,40 @@
+// utils/Razorpay.js
+import crypto from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+
+if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+  console.warn("Warning: RAZORPAY_KEY_ID or RAZORPAY_KEY_SECRET is not set. Payment endpoints will fail until set.");
+}
+if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+  console.warn("Warning: RAZORPAY_WEBHOOK_SECRET is not set. Razorpay webhooks will be rejected until set.");
+}
+
+// Constant-time comparison of two hex HMAC digests
+export const safeCompare = (expected, received) => {
+  const a = Buffer.from(String(expected || ""));
+  const b = Buffer.from(String(received || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Checkout signature: HMAC-SHA256 of "<order_id>|<payment_id>" with the key secret
+export const verifyPaymentSignature = (razorpayOrderId, razorpayPaymentId, signature) => {
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET || "")
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest("hex");
+  return safeCompare(expected, signature);
+};
+
+// Webhook signature: HMAC-SHA256 of the raw request body with the webhook secret
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) return false;
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET || "")
+    .update(rawBody)
+    .digest("hex");
+  return safeCompare(expected, signature);
+};
+
+// Order totals are stored in rupees; Razorpay works in paise
+export const toPaise = (amountInRupees) => Math.round(Number(amountInRupees) * 100);
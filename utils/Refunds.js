@@ -0,0 +1,182 @@
+// utils/Refunds.js
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import Payment from "../models/PaymentModel.js";
+import Refund from "../models/RefundModel.js";
+import User from "../models/UserModel.js";
+import { sendMail } from "./MailSender.js";
+import { getPaymentGateway } from "./PaymentGateway.js";
+import { toPaise } from "./Razorpay.js";
+import { orderRef } from "./OrderNumber.js";
+
+// Order statuses that send the remaining paid amount back to the customer
+export const REFUNDING_STATUSES = ["Cancelled", "Refunded", "Returned & Refunded"];
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+/*
+ * Record a processed refund on its payment and order. Keyed by the gateway's
+ * refund ID, so the API response and the refund.processed webhook can both
+ * call it without counting the refund twice.
+ * refundId is our Refund's ID from the gateway notes: the webhook can arrive
+ * before issueRefund has stored razorpayRefundId, so it is matched on either.
+ */
+export const applyProcessedRefund = async (payment, razorpayRefundId, amount, { refundId } = {}) => {
+  const ours = refundId && mongoose.Types.ObjectId.isValid(refundId) ? [{ _id: refundId, paymentId: payment._id }] : [];
+  await Refund.updateOne(
+    { $or: [{ razorpayRefundId }, ...ours], status: { $ne: "Processed" } },
+    { $set: { status: "Processed", processedAt: new Date(), razorpayRefundId } }
+  );
+
+  if (payment.refundIds.includes(razorpayRefundId)) return payment;
+
+  payment.refundIds.push(razorpayRefundId);
+  payment.amountRefunded = (payment.amountRefunded || 0) + amount;
+  payment.status = payment.amountRefunded >= payment.amount ? "Refunded" : "Partially Refunded";
+  await payment.save();
+
+  await Order.updateOne({ _id: payment.orderId }, { $set: { paymentStatus: payment.status } });
+  return payment;
+};
+
+const sendRefundEmail = async (order, refund) => {
+  const user = await User.findById(refund.userId).select("email username");
+  if (!user) return;
+
+  const amount = formatRupees(refund.amount);
+  const failed = refund.status === "Failed";
+  const cash = refund.method === "cash";
+  const text = failed
+    ? `Hi ${user.username || "Customer"},\n\nWe could not process your refund of ${amount} for order ${orderRef(order)}. Our team will retry and contact you.\n\nReason: ${refund.reason}`
+    : cash
+      ? `Hi ${user.username || "Customer"},\n\nA refund of ${amount} has been issued for order ${orderRef(order)}.\n\nReason: ${refund.reason}`
+      : `Hi ${user.username || "Customer"},\n\nA refund of ${amount} has been initiated for order ${orderRef(order)}.\n\nReason: ${refund.reason}\n\nIt usually reaches your original payment method within 5-7 business days.`;
+  const html = `
+        <div style="font-family:Arial,sans-serif;color:#222">
+          <p>Hi ${user.username || "Customer"},</p>
+          ${failed
+            ? `<p>We could not process your refund of <strong>${amount}</strong> for order <strong>${orderRef(order)}</strong>. Our team will retry and contact you.</p>`
+            : cash
+              ? `<p>A refund of <strong>${amount}</strong> has been issued for order <strong>${orderRef(order)}</strong>.</p>`
+              : `<p>A refund of <strong>${amount}</strong> has been initiated for order <strong>${orderRef(order)}</strong>.</p>
+          <p>It usually reaches your original payment method within 5-7 business days.</p>`}
+          <p><strong>Reason:</strong> ${refund.reason}</p>
+          <hr/>
+          <p style="color:#666">E-Commerce Team</p>
+        </div>
+      `;
+
+  await sendMail({
+    to: user.email,
+    subject: failed ? "Refund Update — Action Pending" : cash ? "Refund Issued" : "Refund Initiated",
+    text,
+    html,
+  });
+};
+
+/*
+ * Refund an online-paid order, fully or partially.
+ *   amount: rupees; omit to refund everything not yet refunded
+ * Returns the Refund document, or null when there is nothing to refund
+ * (unpaid order, no captured payment, or already fully refunded).
+ */
+export const issueRefund = async (order, { amount, reason, items = [], initiatedBy } = {}) => {
+  if (!["Paid", "Partially Refunded"].includes(order.paymentStatus)) return null;
+
+  const payment = await Payment.findOne({
+    orderId: order._id,
+    status: { $in: ["Paid", "Partially Refunded"] },
+  });
+  if (!payment || !payment.razorpayPaymentId) return null;
+
+  // Pending refunds count against what is left so concurrent requests can't over-refund
+  const pending = await Refund.find({ paymentId: payment._id, status: "Pending" }).select("amount");
+  const pendingAmount = pending.reduce((sum, r) => sum + r.amount, 0);
+  const refundable = payment.amount - (payment.amountRefunded || 0) - pendingAmount;
+  const requested = amount == null ? refundable : Math.min(toPaise(amount), refundable);
+  if (requested <= 0) return null;
+
+  const refund = await Refund.create({
+    orderId: order._id,
+    paymentId: payment._id,
+    userId: order.userId._id || order.userId, // order may have userId populated
+    amount: requested,
+    reason: reason || "Refund",
+    items: items.map((it) => ({ productId: it.productId, variantId: it.variantId, quantity: it.quantity })),
+    initiatedBy,
+  });
+
+  try {
+    const result = await getPaymentGateway().refund(payment.razorpayPaymentId, {
+      amount: requested,
+      notes: { orderId: String(order._id), refundId: String(refund._id), reason: refund.reason },
+    });
+    refund.razorpayRefundId = result.id;
+    await refund.save();
+
+    // Razorpay may finish right away or later via the refund.processed webhook
+    if (result.status === "processed") {
+      await applyProcessedRefund(payment, result.id, requested);
+      refund.status = "Processed";
+      refund.processedAt = new Date();
+    }
+  } catch (gatewayErr) {
+    console.error("Refund gateway error:", gatewayErr && (gatewayErr.error || gatewayErr.message || gatewayErr));
+    refund.status = "Failed";
+    refund.failureReason =
+      gatewayErr?.error?.description || gatewayErr?.message || "Refund request failed";
+    await refund.save();
+  }
+
+  try {
+    await sendRefundEmail(order, refund);
+  } catch (mailErr) {
+    console.error("Failed to send refund email:", mailErr);
+  }
+
+  return refund;
+};
+
+/*
+ * Record a refund paid back by hand for a cash-on-delivery order, e.g. after a
+ * return or cancellation of a package whose cash was already collected.
+ *   amount: rupees; omit to refund everything collected and not yet refunded
+ * Returns the Refund document, or null when no collected cash is left to refund.
+ */
+export const recordCodRefund = async (order, { amount, reason, items = [], initiatedBy, reference } = {}) => {
+  if (order.paymentMethod !== "COD") return null;
+
+  const collected = toPaise((order.codCollections || []).reduce((sum, entry) => sum + entry.amountCollected, 0));
+  const previous = await Refund.find({ orderId: order._id, method: "cash", status: "Processed" }).select("amount");
+  const alreadyRefunded = previous.reduce((sum, r) => sum + r.amount, 0);
+  const refundable = collected - alreadyRefunded;
+  const requested = amount == null ? refundable : Math.min(toPaise(amount), refundable);
+  if (requested <= 0) return null;
+
+  const refund = await Refund.create({
+    orderId: order._id,
+    method: "cash",
+    userId: order.userId._id || order.userId, // order may have userId populated
+    amount: requested,
+    reason: reason || "Refund",
+    reference,
+    items: items.map((it) => ({ productId: it.productId, variantId: it.variantId, quantity: it.quantity })),
+    status: "Processed",
+    processedAt: new Date(),
+    initiatedBy,
+  });
+
+  // Only a fully collected order changes payment status; a part-collected one still has cash due
+  if (["Paid", "Partially Refunded"].includes(order.paymentStatus)) {
+    order.paymentStatus = alreadyRefunded + requested >= collected ? "Refunded" : "Partially Refunded";
+    await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: order.paymentStatus } });
+  }
+
+  try {
+    await sendRefundEmail(order, refund);
+  } catch (mailErr) {
+    console.error("Failed to send refund email:", mailErr);
+  }
+
+  return refund;
+};
@@ -0,0 +1,236 @@
+// utils/Shipments.js
+import User from "../models/UserModel.js";
+import { sendMail } from "./MailSender.js";
+import { syncOrderStatus } from "./OrderStatus.js";
+import { getOrCreateInvoice, renderInvoicePdf, invoiceFilename } from "./Invoices.js";
+import { getCarrier, TRACKING_STATUSES } from "./Carriers.js";
+import { issueDeliveryOtp } from "./DeliveryOtp.js";
+import { collectsCashOnDelivery } from "./CashOnDelivery.js";
+import { orderRef } from "./OrderNumber.js";
+
+/*
+ * Validate the carrier details an admin sends for a shipment.
+ * Returns { shipment } or { error }.
+ */
+export const buildShipment = (input = {}) => {
+  const carrier = typeof input.carrier === "string" ? input.carrier.trim() : "";
+  const trackingNumber = typeof input.trackingNumber === "string" ? input.trackingNumber.trim() : "";
+  if (!carrier || !trackingNumber) {
+    return { error: "shipment.carrier and shipment.trackingNumber are required to ship items" };
+  }
+
+  let estimatedDeliveryDate;
+  if (input.estimatedDeliveryDate != null) {
+    estimatedDeliveryDate = new Date(input.estimatedDeliveryDate);
+    if (isNaN(estimatedDeliveryDate.getTime())) {
+      return { error: "shipment.estimatedDeliveryDate must be a valid date" };
+    }
+  }
+
+  const adapter = getCarrier(carrier);
+  return {
+    shipment: {
+      carrier,
+      trackingNumber,
+      trackingUrl: input.trackingUrl || adapter?.trackingUrl?.(trackingNumber),
+      estimatedDeliveryDate,
+      shippedAt: new Date(),
+      checkpoints: [],
+    },
+  };
+};
+
+/*
+ * Ship some of the order's Processing lines (all of them when itemIds is
+ * empty) as one package, and issue a fresh delivery OTP for it.
+ * Returns { shipment, otp } or { status, error }; the caller saves the order
+ * and emails the OTP.
+ */
+export const createShipment = async (order, input, { itemIds = [], user = null, note } = {}) => {
+  if (!["Processing", "Shipped"].includes(order.status)) {
+    return { status: 409, error: `Items can't be shipped while the order is ${order.status}` };
+  }
+
+  const ready = order.items.filter((it) => it.status === "Processing");
+  const wanted = itemIds.map(String);
+  const lines = wanted.length > 0 ? ready.filter((it) => wanted.includes(it._id.toString())) : ready;
+  if (lines.length === 0) {
+    return { status: 409, error: "No items are ready to ship" };
+  }
+  if (wanted.length > 0 && lines.length !== new Set(wanted).size) {
+    return { status: 400, error: "Some items are not in this order or not ready to ship" };
+  }
+
+  const built = buildShipment(input);
+  if (built.error) return { status: 400, error: built.error };
+
+  order.shipments.push({ ...built.shipment, items: lines.map((it) => it._id) });
+  const shipment = order.shipments[order.shipments.length - 1];
+  lines.forEach((it) => {
+    it.status = "Shipped";
+    it.shipmentId = shipment._id;
+  });
+
+  const remaining = order.items.filter((it) => ["Pending", "Processing"].includes(it.status)).length;
+  syncOrderStatus(order, {
+    user,
+    note: note || (remaining > 0 ? `Shipped ${lines.length} item(s); ${remaining} still to ship` : undefined),
+  });
+
+  const otp = await issueDeliveryOtp(order);
+  return { shipment, otp };
+};
+
+export const inTransitShipments = (order) =>
+  (order.shipments || []).filter((shipment) => shipment.status === "In Transit");
+
+// Customer-facing view of an order's shipments
+export const buildTrackingView = (order) =>
+  (order.shipments || []).map((shipment) => {
+    const itemIds = shipment.items.map(String);
+    return {
+      shipmentId: shipment._id.toString(),
+      status: shipment.status,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl || null,
+      estimatedDeliveryDate: shipment.estimatedDeliveryDate || null,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt || null,
+      items: (order.items || [])
+        .filter((it) => itemIds.includes(it._id.toString()))
+        .map((it) => ({ orderItemId: it._id.toString(), title: it.title, quantity: it.quantity })),
+      checkpoints: (shipment.checkpoints || []).map((cp) => ({
+        status: cp.status,
+        description: cp.description || null,
+        location: cp.location || null,
+        at: cp.occurredAt,
+      })),
+      lastSyncedAt: shipment.lastSyncedAt || null,
+    };
+  });
+
+/*
+ * Mark one package delivered, together with its lines; the order moves to
+ * Delivered once nothing is left in transit or waiting to ship. The caller
+ * saves the order and sends the delivery email. Returns false if the
+ * package was already delivered.
+ */
+export const deliverShipment = (order, shipment, { user = null, note } = {}) => {
+  if (shipment.status === "Delivered") return false;
+
+  shipment.status = "Delivered";
+  shipment.deliveredAt = new Date();
+  const itemIds = shipment.items.map(String);
+  order.items.forEach((it) => {
+    if (itemIds.includes(it._id.toString()) && it.status === "Shipped") it.status = "Delivered";
+  });
+
+  syncOrderStatus(order, { user, note });
+  if (order.status === "Delivered") {
+    order.deliveryOtpHash = undefined;
+    order.otpExpiresAt = null;
+    order.otpLockedUntil = null;
+  }
+  return true;
+};
+
+/*
+ * Merge carrier checkpoints into a shipment (deduplicated, oldest first).
+ * A "delivered" scan is only recorded as a checkpoint: the package is marked
+ * delivered when the customer's delivery OTP is verified, unless
+ * CARRIER_CONFIRMS_DELIVERY=true lets the carrier's scan stand in for the OTP.
+ * Cash-on-delivery packages always wait for the agent, who records the cash.
+ * Returns true when this update delivered the package; the caller saves.
+ */
+export const applyTrackingUpdate = (order, shipment, { checkpoints = [], estimatedDeliveryDate } = {}) => {
+  const key = (cp) => `${cp.status}|${new Date(cp.occurredAt).toISOString()}`;
+  const seen = new Set(shipment.checkpoints.map(key));
+
+  checkpoints
+    .filter((cp) => TRACKING_STATUSES.includes(cp.status) && !isNaN(new Date(cp.occurredAt).getTime()))
+    .forEach((cp) => {
+      if (seen.has(key(cp))) return;
+      seen.add(key(cp));
+      shipment.checkpoints.push(cp);
+    });
+  shipment.checkpoints.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+  if (estimatedDeliveryDate) shipment.estimatedDeliveryDate = estimatedDeliveryDate;
+  shipment.lastSyncedAt = new Date();
+
+  const delivered = shipment.checkpoints.some((cp) => cp.status === "delivered");
+  const carrierConfirms = process.env.CARRIER_CONFIRMS_DELIVERY === "true" && !collectsCashOnDelivery(order);
+  return delivered && shipment.status === "In Transit" && carrierConfirms
+    ? deliverShipment(order, shipment, { note: `Delivered per ${shipment.carrier} tracking` })
+    : false;
+};
+
+/*
+ * Poll the carriers for every package still in transit. Returns
+ * { tracked, delivered } counts; packages whose carrier has no polling
+ * adapter are skipped.
+ */
+export const syncOrderShipments = async (order) => {
+  let tracked = 0;
+  const delivered = [];
+
+  for (const shipment of inTransitShipments(order)) {
+    const adapter = getCarrier(shipment.carrier);
+    if (!adapter?.track) continue;
+    tracked += 1;
+    if (applyTrackingUpdate(order, shipment, await adapter.track(shipment))) delivered.push(shipment);
+  }
+
+  if (tracked > 0) await order.save();
+  for (const shipment of delivered) await sendDeliveredEmail(order, shipment);
+  return { tracked, delivered: delivered.length };
+};
+
+// Delivery confirmation for one package; the tax invoice is attached once
+// the whole order has arrived. Never throws.
+export const sendDeliveredEmail = async (order, shipment) => {
+  try {
+    const user = await User.findById(order.userId).select("email username");
+    const itemIds = shipment.items.map(String);
+    const lines = order.items.filter((it) => itemIds.includes(it._id.toString()));
+    const complete = order.status === "Delivered";
+
+    const intro = complete
+      ? `Your order ${orderRef(order)} has been delivered successfully.`
+      : `Part of your order ${orderRef(order)} has been delivered. We'll let you know when the rest arrives.`;
+    const text = `Hi ${user?.username || "Customer"},\n\n${intro}\n\nDelivered:\n${lines
+      .map((it) => `${it.title} — Qty: ${it.quantity}`)
+      .join("\n")}${complete ? "\n\nYour tax invoice is attached." : ""}\n\nThank you for shopping with us.`;
+    const html = `
+      <div style="font-family:Arial,sans-serif;color:#222">
+        <p>Hi ${user?.username || "Customer"},</p>
+        <p>${intro}</p>
+        <ul>${lines.map((it) => `<li>${it.title} — Qty: ${it.quantity}</li>`).join("")}</ul>
+        ${complete ? "<p>We hope you enjoy your purchase. Your tax invoice is attached to this email.</p>" : ""}
+        <hr/>
+        <p style="color:#666">E-Commerce Team</p>
+      </div>
+    `;
+
+    let attachments;
+    if (complete) {
+      try {
+        const invoice = await getOrCreateInvoice(order);
+        attachments = [{ filename: invoiceFilename(invoice), content: await renderInvoicePdf(invoice) }];
+      } catch (invoiceErr) {
+        console.error("Failed to generate invoice for delivered order:", invoiceErr);
+      }
+    }
+
+    await sendMail({
+      to: user?.email,
+      subject: complete ? "Order Delivered — Thank you" : "Part of your order has been delivered",
+      text,
+      html,
+      attachments,
+    });
+  } catch (mailErr) {
+    console.error("Failed to send delivery confirmation email:", mailErr);
+  }
+};
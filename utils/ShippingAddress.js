@@ -0,0 +1,33 @@
+// utils/ShippingAddress.js
+import Address from "../models/AddressModel.js";
+
+// Find one saved address in the user's address book (null when it isn't theirs)
+export const findUserAddress = async (userId, addressId, { session } = {}) => {
+  const addressBook = await Address.findOne({ userId, "addresses._id": addressId }).session(session || null);
+  return addressBook ? addressBook.addresses.id(addressId) : null;
+};
+
+// Copy of an address-book entry frozen onto the order when it is placed
+export const snapshotAddress = (addr) => ({
+  addressId: addr._id,
+  name: addr.name,
+  phone: String(addr.phone),
+  addressLine1: addr.addressLine1,
+  addressLine2: addr.addressLine2 || "",
+  city: addr.city,
+  state: addr.state,
+  pinCode: addr.pinCode,
+});
+
+// Printable lines for emails and invoices
+export const formatAddressLines = (addr) => {
+  if (!addr) return [];
+  if (typeof addr === "string") return [addr];
+  return [
+    addr.name,
+    addr.addressLine1,
+    addr.addressLine2,
+    [addr.city, addr.state].filter(Boolean).join(", ") + (addr.pinCode ? ` - ${addr.pinCode}` : ""),
+    addr.phone ? `Phone: ${addr.phone}` : null,
+  ].filter(Boolean);
+};
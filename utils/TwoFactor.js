@@ -0,0 +1,151 @@
+// utils/TwoFactor.js
+//
+// TOTP two-factor authentication (RFC 6238: 6 digits, 30 s steps, SHA-1, as
+// used by Google Authenticator, Authy, 1Password...). The shared secret is
+// stored AES-256-GCM encrypted with TWO_FACTOR_ENCRYPTION_KEY (falls back to a
+// key derived from JWT_SECRET); recovery codes are stored as SHA-256 hashes.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+dotenv.config();
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+// Codes from one step either side are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+export const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRES = "5m";
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "E-Commerce";
+
+/* -----------------------------------------
+ * Base32 (RFC 4648, no padding) for secrets
+ * ----------------------------------------- */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  return out;
+};
+
+const base32Decode = (text) => {
+  const bits = String(text)
+    .toUpperCase()
+    .replace(/[\s=]/g, "")
+    .split("")
+    .map((ch) => BASE32_ALPHABET.indexOf(ch).toString(2).padStart(5, "0"))
+    .join("");
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+/* -----------------------------------------
+ * TOTP
+ * ----------------------------------------- */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/*
+ * Check a code against the secret. Returns the time step it matched (store it
+ * and pass it back as lastUsedStep so a code can't be replayed), or null.
+ */
+export const verifyTotp = (secret, code, { lastUsedStep = -1, now = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(String(code || ""))) return null;
+  const step = currentStep(now);
+  for (let s = step - TOTP_WINDOW; s <= step + TOTP_WINDOW; s += 1) {
+    if (s > lastUsedStep && crypto.timingSafeEqual(Buffer.from(totpAt(secret, s)), Buffer.from(String(code)))) {
+      return s;
+    }
+  }
+  return null;
+};
+
+export const otpauthUri = (user, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/* -----------------------------------------
+ * Secret encryption at rest
+ * ----------------------------------------- */
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa:${process.env.JWT_SECRET || ""}`)
+    .digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64")).join(".");
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, data] = String(stored).split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+};
+
+/* -----------------------------------------
+ * Recovery codes
+ * ----------------------------------------- */
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+// Returns { codes } to show the user once and { hashes } to store
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Remove and report a matching recovery code (each one works once); the caller saves
+export const consumeRecoveryCode = (twoFactor, code) => {
+  const hash = hashRecoveryCode(code);
+  const index = (twoFactor.recoveryCodeHashes || []).indexOf(hash);
+  if (index === -1) return false;
+  twoFactor.recoveryCodeHashes.splice(index, 1);
+  return true;
+};
+
+/* -----------------------------------------
+ * Login challenge: proves the password step passed
+ * ----------------------------------------- */
+export const signLoginChallenge = (user) =>
+  jwt.sign({ sub: String(user._id), purpose: "2fa-login" }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES,
+  });
+
+// User id from a challenge token, or null if it is invalid/expired
+export const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET);
+    return decoded.purpose === "2fa-login" && decoded.sub ? decoded.sub : null;
+  } catch {
+    return null;
+  }
+};